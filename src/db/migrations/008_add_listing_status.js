@@ -0,0 +1,21 @@
+/**
+ * Migration: Track listing lifecycle (active → ended/sold/withdrawn)
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.string('status', 20).defaultTo('active').index();  // 'active', 'ended', 'sold', 'withdrawn'
+    table.decimal('sold_price', 10, 2);                       // Final price if the listing sold
+    table.timestamp('ended_at');                              // When we saw it end
+    table.timestamp('last_checked');                          // Last refresh against eBay
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('status');
+    table.dropColumn('sold_price');
+    table.dropColumn('ended_at');
+    table.dropColumn('last_checked');
+  });
+}
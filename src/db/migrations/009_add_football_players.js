@@ -0,0 +1,29 @@
+/**
+ * Migration: Seed football players
+ * Most collectible NFL names - quarterbacks, top receivers and recent rookies
+ */
+
+const players = [
+  // Quarterbacks
+  'Patrick Mahomes', 'Josh Allen', 'Lamar Jackson', 'Joe Burrow', 'C.J. Stroud',
+  'Justin Herbert', 'Jalen Hurts', 'Tom Brady',
+  // Skill positions
+  'Justin Jefferson', "Ja'Marr Chase", 'CeeDee Lamb', 'Puka Nacua',
+  // 2024 Rookies
+  'Jayden Daniels', 'Caleb Williams', 'Drake Maye', 'Marvin Harrison Jr', 'Malik Nabers', 'Brock Bowers'
+];
+
+export async function up(knex) {
+  const existing = await knex('monitored_players').where({ sport: 'football' }).pluck('name');
+  const toInsert = players
+    .filter(name => !existing.includes(name))
+    .map(name => ({ name, sport: 'football', active: true }));
+
+  if (toInsert.length > 0) {
+    await knex('monitored_players').insert(toInsert);
+  }
+}
+
+export async function down(knex) {
+  await knex('monitored_players').where({ sport: 'football' }).whereIn('name', players).del();
+}
@@ -0,0 +1,34 @@
+/**
+ * Migration: Grader-aware pricing
+ *
+ * Adds the remaining SportsCardPro grade columns to price_data and stores
+ * the normalized grader/grade on listings.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.integer('grade7_price');    // cib-price (Grade 7 / 7.5)
+    table.integer('grade95_price');   // box-only-price (Grade 9.5, any grader)
+    table.integer('cgc10_price');     // condition-17-price
+    table.integer('sgc10_price');     // condition-18-price
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.string('grader', 10).index();   // 'PSA', 'BGS', 'SGC', 'CGC' (null = raw)
+    table.decimal('grade_value', 3, 1);   // 10, 9.5, 9...
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropColumn('grade7_price');
+    table.dropColumn('grade95_price');
+    table.dropColumn('cgc10_price');
+    table.dropColumn('sgc10_price');
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('grader');
+    table.dropColumn('grade_value');
+  });
+}
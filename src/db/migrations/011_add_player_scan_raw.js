@@ -0,0 +1,15 @@
+/**
+ * Migration: Per-player raw (ungraded) card scanning
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('monitored_players', (table) => {
+    table.boolean('scan_raw').defaultTo(false);  // Also search ungraded cards for this player
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('monitored_players', (table) => {
+    table.dropColumn('scan_raw');
+  });
+}
@@ -0,0 +1,29 @@
+/**
+ * Migration: Search query templates
+ *
+ * Global templates (player_id null) apply to every monitored player; a player
+ * with templates of their own uses only those. Templates use {player} and
+ * {year} placeholders and eBay's -keyword exclusions.
+ */
+
+export async function up(knex) {
+  await knex.schema.createTable('query_templates', (table) => {
+    table.increments('id').primary();
+    table.integer('player_id').references('id').inTable('monitored_players').onDelete('CASCADE').index();
+    table.string('template').notNullable();       // e.g. "{year} {player} prizm silver PSA 10"
+    table.string('mode', 10).defaultTo('graded'); // 'graded' | 'raw'
+    table.boolean('active').defaultTo(true);
+
+    // How well the template performs
+    table.integer('runs').defaultTo(0);
+    table.integer('listings_found').defaultTo(0);   // Listings returned after the grade filter
+    table.integer('matchable_count').defaultTo(0);  // In price range with card # and set
+    table.timestamp('last_used_at');
+
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('query_templates');
+}
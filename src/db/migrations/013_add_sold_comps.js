@@ -0,0 +1,24 @@
+/**
+ * Migration: 130point sold comps on listings
+ *
+ * Stores the sold median and the recent sales behind it, plus a flag when
+ * the market value disagrees with what the card actually sells for.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.decimal('comp_median', 10, 2);        // Median 130point sold price
+    table.integer('comp_sample_size');          // Sales behind the median
+    table.jsonb('comp_sales');                  // Recent sales [{ title, price, date, source }]
+    table.string('price_flag', 30).index();     // 'above_sold_comps' | 'below_sold_comps' | null
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('comp_median');
+    table.dropColumn('comp_sample_size');
+    table.dropColumn('comp_sales');
+    table.dropColumn('price_flag');
+  });
+}
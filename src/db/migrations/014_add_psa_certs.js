@@ -0,0 +1,41 @@
+/**
+ * Migration: PSA cert verification
+ *
+ * psa_certs caches every PSA API cert lookup (the free tier is 100 calls/day).
+ * Listings record the cert and whether the title disagreed with it.
+ */
+
+export async function up(knex) {
+  await knex.schema.createTable('psa_certs', (table) => {
+    table.string('cert_number', 20).primary();
+    table.boolean('found').notNullable();   // false = PSA has no such cert
+    table.integer('spec_id').index();       // PSA's card spec - used for pop reports
+    table.string('year', 20);
+    table.string('brand');                  // e.g. "PANINI PRIZM"
+    table.string('card_number', 20);
+    table.string('subject');                // Player
+    table.string('variety');                // Parallel, e.g. "SILVER"
+    table.string('grade', 30);              // Normalized label, e.g. "PSA 10"
+    table.decimal('grade_value', 3, 1);
+    table.integer('total_population');
+    table.integer('population_higher');
+    table.jsonb('raw');                     // Full PSACert response
+    table.timestamp('fetched_at').defaultTo(knex.fn.now()).index();
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.string('cert_number', 20).index();
+    table.boolean('cert_verified').defaultTo(false);
+    table.string('cert_mismatch', 50);      // Comma-separated: year,set,card_number,grade
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('cert_number');
+    table.dropColumn('cert_verified');
+    table.dropColumn('cert_mismatch');
+  });
+
+  await knex.schema.dropTableIfExists('psa_certs');
+}
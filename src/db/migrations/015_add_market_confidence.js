@@ -0,0 +1,17 @@
+/**
+ * Migration: Composite market value confidence
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.integer('market_confidence').index();  // 0-100
+    table.jsonb('market_sources');               // Per-source breakdown [{ source, value, weight, used, ... }]
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('market_confidence');
+    table.dropColumn('market_sources');
+  });
+}
@@ -0,0 +1,34 @@
+/**
+ * Migration: Canonical card keys
+ *
+ * cards.card_key (sport|player|year|set|number|parallel) lets the scanner and
+ * the CSV importer resolve to the same cards row. price_data rows link to it.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('cards', (table) => {
+    table.string('card_key').unique();
+  });
+
+  await knex.schema.alterTable('price_data', (table) => {
+    table.integer('card_id').references('id').inTable('cards').onDelete('SET NULL').index();
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.index('card_id');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropIndex('card_id');
+  });
+
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropColumn('card_id');
+  });
+
+  await knex.schema.alterTable('cards', (table) => {
+    table.dropColumn('card_key');
+  });
+}
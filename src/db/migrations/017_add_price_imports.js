@@ -0,0 +1,59 @@
+/**
+ * Migration: Versioned SportsCardPro imports
+ *
+ * price_imports records each uploaded file as a batch. price_data rows are
+ * upserted by scp_id and remember which batch last wrote them, and
+ * price_data_versions keeps the row as it was before each insert/update so a
+ * batch can be diffed or rolled back.
+ */
+
+export async function up(knex) {
+  await knex.schema.createTable('price_imports', (table) => {
+    table.increments('id').primary();
+    table.string('sport').notNullable().index();
+    table.string('source_file');
+    table.string('status', 20).defaultTo('processing');  // 'processing', 'completed', 'failed', 'rolled_back'
+    table.integer('rows_total').defaultTo(0);
+    table.integer('rows_inserted').defaultTo(0);
+    table.integer('rows_updated').defaultTo(0);
+    table.integer('rows_unchanged').defaultTo(0);
+    table.integer('rows_skipped').defaultTo(0);
+    table.text('error');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+    table.timestamp('completed_at');
+    table.timestamp('rolled_back_at');
+  });
+
+  await knex.schema.createTable('price_data_versions', (table) => {
+    table.increments('id').primary();
+    table.integer('import_id').references('id').inTable('price_imports').onDelete('CASCADE').index();
+    table.string('scp_id').index();
+    table.string('action', 10).notNullable();  // 'insert' | 'update'
+    table.jsonb('previous');                   // Row before the update (null for inserts)
+    table.jsonb('data');                       // Row as imported
+    table.text('changed_fields');              // Comma-separated, updates only
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+
+  // Older uploads wiped and re-inserted each sport - keep the newest copy of any duplicate product
+  await knex.raw(`
+    DELETE FROM price_data a
+    USING price_data b
+    WHERE a.scp_id = b.scp_id AND a.id < b.id
+  `);
+
+  await knex.schema.alterTable('price_data', (table) => {
+    table.integer('import_id').references('id').inTable('price_imports').onDelete('SET NULL').index();
+    table.unique(['scp_id']);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropUnique(['scp_id']);
+    table.dropColumn('import_id');
+  });
+
+  await knex.schema.dropTableIfExists('price_data_versions');
+  await knex.schema.dropTableIfExists('price_imports');
+}
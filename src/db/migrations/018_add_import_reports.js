@@ -0,0 +1,21 @@
+/**
+ * Migration: Import dry runs and parse reports
+ *
+ * Every import batch stores a report of skip reasons, sample skipped rows and
+ * parsed-field distributions. Dry runs are stored as batches too (status
+ * 'dry_run') so their report can be reviewed before the real upload.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('price_imports', (table) => {
+    table.boolean('dry_run').defaultTo(false);
+    table.jsonb('report');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_imports', (table) => {
+    table.dropColumn('dry_run');
+    table.dropColumn('report');
+  });
+}
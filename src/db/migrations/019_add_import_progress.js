@@ -0,0 +1,30 @@
+/**
+ * Migration: Background price imports
+ *
+ * Uploads are kept on disk and imported in chunks by a background job.
+ * Progress is saved after every chunk so a restarted server resumes from
+ * rows_processed, and cancel_requested lets a running import stop cleanly.
+ * New statuses: 'queued', 'cancelled'.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('price_imports', (table) => {
+    table.text('file_path');
+    table.bigInteger('bytes_total').defaultTo(0);
+    table.bigInteger('bytes_processed').defaultTo(0);
+    table.integer('rows_processed').defaultTo(0);
+    table.integer('values_recorded').defaultTo(0);
+    table.boolean('cancel_requested').defaultTo(false);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_imports', (table) => {
+    table.dropColumn('file_path');
+    table.dropColumn('bytes_total');
+    table.dropColumn('bytes_processed');
+    table.dropColumn('rows_processed');
+    table.dropColumn('values_recorded');
+    table.dropColumn('cancel_requested');
+  });
+}
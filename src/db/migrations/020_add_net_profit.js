@@ -0,0 +1,36 @@
+/**
+ * Migration: Fee- and cost-aware deal economics
+ *
+ * Each listing stores what it costs all-in (price, shipping, tax), what it
+ * nets on resale after fees and shipping out, and the resulting profit/ROI.
+ * Watchlists can alert on net profit instead of the raw discount.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.decimal('all_in_cost', 10, 2);
+    table.decimal('net_resale_value', 10, 2);
+    table.decimal('net_profit', 10, 2).index();
+    table.decimal('roi', 8, 2);   // Percent
+  });
+
+  await knex.schema.alterTable('user_watchlists', (table) => {
+    table.decimal('min_net_profit', 10, 2);
+    table.decimal('min_roi', 8, 2);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropIndex('net_profit');
+    table.dropColumn('all_in_cost');
+    table.dropColumn('net_resale_value');
+    table.dropColumn('net_profit');
+    table.dropColumn('roi');
+  });
+
+  await knex.schema.alterTable('user_watchlists', (table) => {
+    table.dropColumn('min_net_profit');
+    table.dropColumn('min_roi');
+  });
+}
@@ -0,0 +1,20 @@
+/**
+ * Migration: Record which scoring strategy produced each deal score
+ *
+ * score_strategy/score_version identify the formula behind deal_score so
+ * scores can be compared and recomputed after the weights change.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.string('score_strategy', 30);
+    table.integer('score_version');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('score_strategy');
+    table.dropColumn('score_version');
+  });
+}
@@ -0,0 +1,18 @@
+/**
+ * Migration: Price trend on listings
+ *
+ * trend_30d is the card's 30-day market value change (%) when the deal was
+ * saved - it feeds the deal score and lets deals be filtered by momentum.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.decimal('trend_30d', 8, 1);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('trend_30d');
+  });
+}
@@ -0,0 +1,31 @@
+/**
+ * Migration: Stale price detection
+ *
+ * price_data.confirmed_at is when an import last saw a row's prices, changed
+ * or not, so unchanged rows don't look older than the data they came from.
+ * Listings valued only on stale data are marked price_stale and hidden from
+ * /api/deals unless asked for.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.timestamp('confirmed_at');
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.boolean('price_stale').defaultTo(false).index();
+    table.string('stale_sources', 100);
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropColumn('confirmed_at');
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropIndex('price_stale');
+    table.dropColumn('price_stale');
+    table.dropColumn('stale_sources');
+  });
+}
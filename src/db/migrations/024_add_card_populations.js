@@ -0,0 +1,49 @@
+/**
+ * Migration: PSA population reports
+ *
+ * card_populations caches one PSA pop report per spec, linked to the
+ * canonical card. Cards remember their PSA spec (learned from verified
+ * certs), and listings keep the PSA 10 pop, gem rate and scarcity score
+ * they were saved with so deals can be filtered by population.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('cards', (table) => {
+    table.integer('psa_spec_id').index();
+  });
+
+  await knex.schema.createTable('card_populations', (table) => {
+    table.integer('spec_id').primary();
+    table.integer('card_id').references('id').inTable('cards').onDelete('SET NULL').index();
+    table.string('description');
+    table.integer('total');
+    table.integer('psa10');
+    table.integer('psa9');
+    table.jsonb('grades');                 // { '10': n, '9': n, '8.5': n, ... }
+    table.decimal('gem_rate', 5, 1);       // % of graded copies that are PSA 10
+    table.integer('scarcity_score');       // 0-100, from the PSA 10 pop
+    table.timestamp('fetched_at').defaultTo(knex.fn.now()).index();
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.integer('psa10_pop').index();
+    table.decimal('gem_rate', 5, 1);
+    table.integer('scarcity_score');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropIndex('psa10_pop');
+    table.dropColumn('psa10_pop');
+    table.dropColumn('gem_rate');
+    table.dropColumn('scarcity_score');
+  });
+
+  await knex.schema.dropTableIfExists('card_populations');
+
+  await knex.schema.alterTable('cards', (table) => {
+    table.dropIndex('psa_spec_id');
+    table.dropColumn('psa_spec_id');
+  });
+}
@@ -0,0 +1,27 @@
+/**
+ * Migration: Parse regression corpus
+ *
+ * Titles the parser once got wrong, saved with the parse they should get -
+ * usually from a reported mismatch. Each run records whether the case still
+ * passes so a parser or panini-sets.json change that breaks one shows up.
+ */
+
+export async function up(knex) {
+  await knex.schema.createTable('parse_regressions', (table) => {
+    table.increments('id').primary();
+    table.text('title').notNullable();
+    table.jsonb('aspects');                  // eBay item specifics [{ name, value }]
+    table.jsonb('expected').notNullable();   // { year, setName, cardNumber, parallel, ... }
+    table.integer('report_id').references('id').inTable('reported_issues').onDelete('SET NULL');
+    table.integer('listing_id');
+    table.text('notes');
+    table.boolean('last_passed');
+    table.jsonb('last_result');              // Parse and mismatches from the latest run
+    table.timestamp('last_run_at');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('parse_regressions');
+}
@@ -0,0 +1,40 @@
+/**
+ * Migration: Serial numbering
+ *
+ * Listings and scan_log keep the serial number and print run parsed from
+ * the title ("23/99" → 23 of 99), and price_data keeps the print run from
+ * SCP numbered parallels ("[Gold /10]") so a numbered listing is priced
+ * against the right one.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.integer('serial_number');
+    table.integer('print_run').index();
+  });
+
+  await knex.schema.alterTable('scan_log', (table) => {
+    table.integer('serial_number');
+    table.integer('print_run');
+  });
+
+  await knex.schema.alterTable('price_data', (table) => {
+    table.integer('print_run');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropColumn('print_run');
+  });
+
+  await knex.schema.alterTable('scan_log', (table) => {
+    table.dropColumn('serial_number');
+    table.dropColumn('print_run');
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('serial_number');
+    table.dropColumn('print_run');
+  });
+}
@@ -0,0 +1,40 @@
+/**
+ * Migration: Rookie, autograph and memorabilia attributes
+ *
+ * Listings and price_data record whether a card is a rookie, autographed,
+ * a relic (patch/jersey/memorabilia) or an RPA, so an auto listing is only
+ * priced against auto price data. price_data rows imported before this
+ * keep NULL (unknown) until the next import parses them.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.boolean('is_rookie').defaultTo(false);
+    table.boolean('is_auto').defaultTo(false);
+    table.boolean('is_relic').defaultTo(false);
+    table.boolean('is_rpa').defaultTo(false);
+  });
+
+  await knex.schema.alterTable('price_data', (table) => {
+    table.boolean('is_rookie');
+    table.boolean('is_auto');
+    table.boolean('is_relic');
+    table.boolean('is_rpa');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropColumn('is_rookie');
+    table.dropColumn('is_auto');
+    table.dropColumn('is_relic');
+    table.dropColumn('is_rpa');
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('is_rookie');
+    table.dropColumn('is_auto');
+    table.dropColumn('is_relic');
+    table.dropColumn('is_rpa');
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Migration: Insert sets
+ *
+ * price_data keeps the insert set parsed from SCP products ("Splash",
+ * "Zero Gravity") so "Optic Splash #4" isn't priced as Optic #4 base, and
+ * listings keep the insert parsed from the title for filtering deals.
+ * NULL means no insert - rows imported before this need a re-import.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.string('insert_set').index();
+  });
+
+  await knex.schema.alterTable('price_data', (table) => {
+    table.string('insert_set');
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('price_data', (table) => {
+    table.dropColumn('insert_set');
+  });
+
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropColumn('insert_set');
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * Migration: One grade key per market value
+ *
+ * Scanner valuations were stored under the listing grade ("PSA 9") and
+ * imports under the SCP column label ("Grade 9"). Rewrites both to
+ * gradeKey so a card's history at a grade is one series.
+ */
+
+import { gradeKey } from '../../services/grading.js';
+
+export async function up(knex) {
+  const grades = await knex('market_values').distinct('grade').pluck('grade');
+  for (const grade of grades) {
+    const key = gradeKey(grade);
+    if (key !== grade) {
+      await knex('market_values').where('grade', grade).update({ grade: key });
+    }
+  }
+}
+
+export async function down() {
+  // The original listing grades aren't kept - nothing to restore
+}
@@ -0,0 +1,18 @@
+/**
+ * Migration: Market values per import
+ *
+ * market_values rows written by a CSV import remember the batch, so rolling
+ * the batch back removes the price history it added.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('market_values', (table) => {
+    table.integer('import_id').references('id').inTable('price_imports').onDelete('SET NULL').index();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('market_values', (table) => {
+    table.dropColumn('import_id');
+  });
+}
@@ -0,0 +1,19 @@
+/**
+ * Migration: PSA API call log
+ *
+ * One row per PSA API request - found, not found, invalid or failed - so the
+ * PSA_DAILY_LIMIT count covers every call, not just the certs and
+ * population reports that got cached.
+ */
+
+export async function up(knex) {
+  await knex.schema.createTable('psa_api_calls', (table) => {
+    table.increments('id').primary();
+    table.string('endpoint', 20).notNullable();  // 'cert' | 'population' | 'price_guide'
+    table.timestamp('called_at').defaultTo(knex.fn.now()).index();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.dropTableIfExists('psa_api_calls');
+}
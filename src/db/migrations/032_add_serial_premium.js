@@ -0,0 +1,20 @@
+/**
+ * Migration: Serial premium flag on listings
+ *
+ * 1/1s and jersey-numbered copies ('one_of_one' | 'jersey') are saved with
+ * this flag and a zero deal score, so they can be reviewed without being
+ * ranked as ordinary deals against the parallel's price.
+ */
+
+export async function up(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.string('serial_premium', 20).index();
+  });
+}
+
+export async function down(knex) {
+  await knex.schema.alterTable('listings', (table) => {
+    table.dropIndex('serial_premium');
+    table.dropColumn('serial_premium');
+  });
+}
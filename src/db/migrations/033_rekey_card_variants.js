@@ -0,0 +1,132 @@
+/**
+ * Migration: Card variants in the card key
+ *
+ * Insert set, auto, relic and print run moved out of the set and parallel
+ * into their own columns, so Optic #4, Optic Splash #4 and the #4 auto all
+ * resolved to one cards row. cards gets those columns and card_key gains
+ * them (see buildCardKey). Each card is re-keyed as the variant its
+ * price_data rows and listings describe - the base card if it is one of
+ * them. Every other variant gets a cards row of its own, and its
+ * price_data rows, listings and imported market_values move there.
+ * Scanner valuations can't be told apart and stay on the original card.
+ */
+
+import { PRICE_COLUMNS, gradeKey } from '../../services/grading.js';
+
+const VARIANT_FIELDS = ['insert_set', 'is_auto', 'is_relic', 'print_run'];
+
+// The card_key segments buildCardKey adds after the parallel
+function variantKey({ insert_set, is_auto, is_relic, print_run }) {
+  const insert = String(insert_set || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+  return [insert || 'none', is_auto ? 'auto' : '', is_relic ? 'relic' : '', parseInt(print_run) || ''].join('|');
+}
+
+// Exact match on the variant columns, NULLs included
+function whereVariant(query, variant) {
+  for (const field of VARIANT_FIELDS) {
+    query = variant[field] == null ? query.whereNull(field) : query.where(field, variant[field]);
+  }
+  return query;
+}
+
+export async function up(knex) {
+  await knex.schema.alterTable('cards', (table) => {
+    table.string('insert_set');
+    table.boolean('is_auto').defaultTo(false);
+    table.boolean('is_relic').defaultTo(false);
+    table.integer('print_run');
+  });
+
+  const baseKey = variantKey({});
+  await knex('cards').whereNotNull('card_key').update({ card_key: knex.raw('card_key || ?', [`|${baseKey}`]) });
+
+  // card_id → variant key → the distinct column values that produce it
+  const variants = new Map();
+  for (const table of ['price_data', 'listings']) {
+    const rows = await knex(table).whereNotNull('card_id').distinct('card_id', ...VARIANT_FIELDS);
+    for (const row of rows) {
+      if (!variants.has(row.card_id)) variants.set(row.card_id, new Map());
+      const byKey = variants.get(row.card_id);
+      const key = variantKey(row);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(row);
+    }
+  }
+
+  for (const [cardId, byKey] of variants) {
+    const card = await knex('cards').where('id', cardId).first();
+    if (!card?.card_key) continue;
+    const prefix = card.card_key.slice(0, -(baseKey.length + 1));
+    const keys = [...byKey.keys()];
+    const kept = byKey.has(baseKey) ? baseKey : keys[0];
+
+    const attributes = (key) => {
+      const [variant] = byKey.get(key);
+      return {
+        card_key: `${prefix}|${key}`,
+        insert_set: variant.insert_set || null,
+        is_auto: !!variant.is_auto,
+        is_relic: !!variant.is_relic,
+        print_run: variant.print_run || null
+      };
+    };
+
+    if (kept !== baseKey) {
+      await knex('cards').where('id', cardId).update(attributes(kept));
+    }
+
+    for (const key of keys.filter(k => k !== kept)) {
+      const [created] = await knex('cards').insert({
+        sport: card.sport,
+        player_name: card.player_name,
+        year: card.year,
+        set_name: card.set_name,
+        card_number: card.card_number,
+        parallel: card.parallel,
+        ...attributes(key)
+      }).returning('id');
+      const newId = created.id ?? created;
+
+      for (const variant of byKey.get(key)) {
+        // Imported values move with the price_data row whose price they recorded
+        const priceRows = await whereVariant(knex('price_data').where('card_id', cardId), variant);
+        for (const row of priceRows) {
+          for (const { column, label } of Object.values(PRICE_COLUMNS)) {
+            if (!(row[column] > 0)) continue;
+            await knex('market_values')
+              .where({ card_id: cardId, source: 'local', grade: gradeKey(label) })
+              .where('market_value', row[column] / 100)
+              .update({ card_id: newId });
+          }
+        }
+        await whereVariant(knex('price_data').where('card_id', cardId), variant).update({ card_id: newId });
+        await whereVariant(knex('listings').where('card_id', cardId), variant).update({ card_id: newId });
+      }
+    }
+  }
+}
+
+export async function down(knex) {
+  // Fold every variant back into the first card with its old key
+  const cards = await knex('cards').whereNotNull('card_key').orderBy('id').select('id', 'card_key');
+  const kept = new Map();
+  for (const card of cards) {
+    const oldKey = card.card_key.split('|').slice(0, 6).join('|');
+    if (!kept.has(oldKey)) {
+      kept.set(oldKey, card.id);
+      await knex('cards').where('id', card.id).update({ card_key: oldKey });
+      continue;
+    }
+    for (const table of ['price_data', 'listings', 'market_values', 'card_populations']) {
+      await knex(table).where('card_id', card.id).update({ card_id: kept.get(oldKey) });
+    }
+    await knex('cards').where('id', card.id).del();
+  }
+
+  await knex.schema.alterTable('cards', (table) => {
+    table.dropColumn('insert_set');
+    table.dropColumn('is_auto');
+    table.dropColumn('is_relic');
+    table.dropColumn('print_run');
+  });
+}
@@ -0,0 +1,35 @@
+/**
+ * Parse Regression Runner
+ *
+ * Re-runs every saved parse regression case - run it after changing
+ * card-parser.js or data/panini-sets.json. Exits 1 when any case fails.
+ * Usage: npm run parse:regressions
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { EbayClient } from './services/ebay.js';
+import { ParseRegressionService } from './services/parse-regressions.js';
+import { db } from './db/index.js';
+
+const regressions = new ParseRegressionService(new EbayClient());
+
+try {
+  const result = await regressions.runAll();
+
+  for (const c of result.cases.filter(c => !c.passed)) {
+    console.log(`FAIL #${c.id} ${c.title}`);
+    for (const m of c.mismatches) {
+      console.log(`  ${m.field}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+    }
+  }
+  console.log(`${result.passed}/${result.total} parse regressions passed`);
+
+  process.exitCode = result.failed > 0 ? 1 : 0;
+} catch (error) {
+  console.error('Parse regressions failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await db.destroy();
+}
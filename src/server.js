@@ -8,13 +8,23 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import { EbayClient } from './services/ebay.js';
 import { PriceService } from './services/pricing.js';
+import { GRADERS, normalizeGrader, gradeKey } from './services/grading.js';
+import { DEFAULT_COST_MODEL, normalizeCostModel, estimateDealCosts } from './services/cost-model.js';
+import { DEFAULT_SCORING, normalizeScoring, scoreDeal, fromListingRow } from './services/scoring.js';
+import { TrendService } from './services/trends.js';
+import { DEFAULT_STALENESS, normalizeStaleness, getStaleSets } from './services/staleness.js';
+import { CardCatalog, buildCardKey } from './services/card-catalog.js';
+import { PriceImportService } from './services/price-import.js';
+import { LocalPricingService } from './services/local-pricing.js';
+import { ParseRegressionService } from './services/parse-regressions.js';
+import { parseCardTitle } from './services/card-parser.js';
+import { cardSets } from './services/card-sets.js';
 import { db } from './db/index.js';
 import crypto from 'crypto';
-import { readFileSync } from 'fs';
+import fs, { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import multer from 'multer';
-import { parse } from 'csv-parse/sync';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,6 +42,13 @@ app.use(express.json());
 // Initialize services
 const ebay = new EbayClient();
 const pricing = new PriceService();
+const catalog = new CardCatalog();
+const trends = new TrendService();
+const localPricing = new LocalPricingService();
+const parseRegressions = new ParseRegressionService(ebay);
+const priceImports = new PriceImportService(catalog, {
+  onProgress: (progress) => io.emit('import:progress', progress)
+});
 
 // ============================================
 // REST API ENDPOINTS
@@ -42,23 +59,84 @@ app.get('/api/deals', async (req, res) => {
   try {
     const {
       sport,
+      platform, // 'ebay' | 'comc' | 'all'
       type, // 'auction' | 'buyNow' | 'all'
+      status = 'active', // 'active' | 'sold' | 'ended' | 'withdrawn' | 'all'
       minDealScore = 0,
+      minConfidence,
+      minNetProfit,
+      minRoi,
+      maxPsa10Pop,
+      maxPrintRun, // Serial numbered to this or fewer copies
+      rookie, // 'true' | 'false'
+      auto, // 'true' | 'false'
+      relic, // 'true' | 'false' - patch / jersey / memorabilia
+      rpa, // 'true' | 'false'
+      insertSet, // Insert name ('splash'), or 'none' for base cards only
       search,
       grade,
+      cert, // 'verified' | 'mismatch'
+      stale = 'exclude', // 'exclude' | 'include' | 'only' - deals priced on stale data
+      serialPremium = 'exclude', // 'exclude' | 'include' | 'only' - unscored 1/1s and jersey-numbered copies
       sortBy = 'dealScore',
       limit = 50,
       offset = 0
     } = req.query;
 
     let query = db('listings')
-      .where('is_active', true)
       .where('deal_score', '>=', parseInt(minDealScore));
 
+    if (status === 'active') {
+      query = query.where('is_active', true);
+    } else if (status !== 'all') {
+      query = query.where('status', status);
+    }
+
     if (sport && sport !== 'all') {
       query = query.where('sport', sport);
     }
 
+    if (minConfidence) {
+      query = query.where('market_confidence', '>=', parseInt(minConfidence));
+    }
+
+    if (minNetProfit) {
+      query = query.where('net_profit', '>=', parseFloat(minNetProfit));
+    }
+
+    if (minRoi) {
+      query = query.where('roi', '>=', parseFloat(minRoi));
+    }
+
+    // PSA 10 population at or under the limit. Cards with no pop report (raw, other
+    // graders, PSA slabs without a verified cert) are kept - their pop is unknown, not high
+    if (maxPsa10Pop !== undefined && maxPsa10Pop !== '') {
+      query = query.where(function() {
+        this.where('psa10_pop', '<=', parseInt(maxPsa10Pop)).orWhereNull('psa10_pop');
+      });
+    }
+
+    if (maxPrintRun !== undefined && maxPrintRun !== '') {
+      query = query.where('print_run', '<=', parseInt(maxPrintRun));
+    }
+
+    // Card attributes
+    for (const [column, value] of [['is_rookie', rookie], ['is_auto', auto], ['is_relic', relic], ['is_rpa', rpa]]) {
+      if (value === 'true' || value === 'false') {
+        query = query.where(column, value === 'true');
+      }
+    }
+
+    if (insertSet === 'none') {
+      query = query.whereNull('insert_set');
+    } else if (insertSet) {
+      query = query.whereRaw('LOWER(insert_set) = ?', [insertSet.toLowerCase()]);
+    }
+
+    if (platform && platform !== 'all') {
+      query = query.where('platform', platform);
+    }
+
     if (type === 'auction') {
       query = query.where('is_auction', true);
     } else if (type === 'buyNow') {
@@ -78,6 +156,28 @@ app.get('/api/deals', async (req, res) => {
       query = query.where('grade', 'Raw');
     }
 
+    // Deals priced on stale data are quarantined unless asked for
+    if (stale === 'only') {
+      query = query.where('price_stale', true);
+    } else if (stale !== 'include') {
+      query = query.where(function() {
+        this.where('price_stale', false).orWhereNull('price_stale');
+      });
+    }
+
+    // 1/1s and jersey-numbered copies aren't scored, so they stay out of the deal list unless asked for
+    if (serialPremium === 'only') {
+      query = query.whereNotNull('serial_premium');
+    } else if (serialPremium !== 'include') {
+      query = query.whereNull('serial_premium');
+    }
+
+    if (cert === 'verified') {
+      query = query.where('cert_verified', true);
+    } else if (cert === 'mismatch') {
+      query = query.whereNotNull('cert_mismatch');
+    }
+
     // Sorting
     if (sortBy === 'dealScore') {
       query = query.orderBy('deal_score', 'desc');
@@ -85,6 +185,12 @@ app.get('/api/deals', async (req, res) => {
       query = query.orderBy('auction_end_time', 'asc');
     } else if (sortBy === 'priceLow') {
       query = query.orderBy('current_price', 'asc');
+    } else if (sortBy === 'recentlyEnded') {
+      query = query.orderBy('ended_at', 'desc');
+    } else if (sortBy === 'netProfit') {
+      query = query.orderByRaw('net_profit DESC NULLS LAST');
+    } else if (sortBy === 'roi') {
+      query = query.orderByRaw('roi DESC NULLS LAST');
     }
 
     const deals = await query.limit(parseInt(limit)).offset(parseInt(offset));
@@ -100,6 +206,78 @@ app.get('/api/deals', async (req, res) => {
   }
 });
 
+// Broadcast listing changes (called by worker after a refresh pass)
+// Only IDs are taken from the body - the rows broadcast are re-read from the database
+app.post('/api/deals/updates', async (req, res) => {
+  try {
+    const ids = (Array.isArray(req.body.ids) ? req.body.ids : [])
+      .map(id => parseInt(id))
+      .filter(Number.isInteger)
+      .slice(0, 500);
+    const deals = ids.length > 0 ? await db('listings').whereIn('id', ids) : [];
+    deals.forEach(deal => broadcastDealUpdate(deal));
+    res.json({ success: true, count: deals.length });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Recompute deal scores (and net profit) for active listings with the current
+ * scoring strategy, weights and cost model - e.g. after changing them in settings
+ * POST /api/deals/rescore
+ */
+app.post('/api/deals/rescore', async (req, res) => {
+  try {
+    const { scoring, costModel } = appSettings;
+    const staleScoreFactor = appSettings.staleness.scoreFactor;
+    let lastId = 0;
+    let checked = 0;
+    let changed = 0;
+
+    while (true) {
+      const rows = await db('listings')
+        .where('is_active', true)
+        .where('id', '>', lastId)
+        .whereNotNull('market_value')
+        .orderBy('id')
+        .limit(500);
+      if (rows.length === 0) break;
+      lastId = rows[rows.length - 1].id;
+
+      for (const row of rows) {
+        checked++;
+        const { listing, market } = fromListingRow(row);
+        const { score, strategy, version } = scoreDeal(listing, market, { scoring, costModel, staleScoreFactor });
+        const costs = estimateDealCosts(listing, market.value, costModel);
+
+        const update = {
+          deal_score: score,
+          score_strategy: strategy,
+          score_version: version,
+          all_in_cost: costs.allInCost,
+          net_resale_value: costs.netResaleValue,
+          net_profit: costs.netProfit,
+          roi: costs.roi
+        };
+        const unchanged = Object.entries(update).every(([key, value]) =>
+          String(row[key] ?? '') === String(value ?? '') || Number(row[key]) === value
+        );
+        if (unchanged) continue;
+
+        const [updated] = await db('listings').where('id', row.id).update(update).returning('*');
+        broadcastDealUpdate(updated);
+        changed++;
+      }
+    }
+
+    console.log(`Rescored ${checked} active listings with ${scoring.strategy}: ${changed} changed`);
+    res.json({ success: true, data: { checked, changed, strategy: scoring.strategy } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Get single listing details
 app.get('/api/deals/:id', async (req, res) => {
   try {
@@ -111,15 +289,34 @@ app.get('/api/deals/:id', async (req, res) => {
       return res.status(404).json({ success: false, error: 'Listing not found' });
     }
 
-    // Get price history for this card
-    const priceHistory = await db('market_values')
-      .where('card_id', listing.card_id)
-      .orderBy('last_updated', 'desc')
-      .limit(30);
+    // Get price history for this card at the listing's grade
+    const priceHistory = listing.card_id
+      ? await db('market_values')
+        .where('card_id', listing.card_id)
+        .where('grade', gradeKey(listing.grade))
+        .orderBy('last_updated', 'desc')
+        .limit(30)
+      : [];
+
+    // 130point sales the value was checked against
+    const soldComps = listing.comp_sales ? {
+      median: listing.comp_median,
+      sampleSize: listing.comp_sample_size,
+      priceFlag: listing.price_flag,
+      sales: listing.comp_sales
+    } : null;
+
+    // How the card's value has moved - 7/30/90-day change and volatility
+    const trend = await trends.getCardTrend(listing.card_id, listing.grade);
+
+    // Cached PSA pop report for the card, with gem rate and scarcity
+    const population = listing.card_id
+      ? await db('card_populations').where('card_id', listing.card_id).orderBy('fetched_at', 'desc').first() || null
+      : null;
 
     res.json({
       success: true,
-      data: { ...listing, priceHistory }
+      data: { ...listing, priceHistory, soldComps, trend, population }
     });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -129,22 +326,32 @@ app.get('/api/deals/:id', async (req, res) => {
 // Get market value for a specific card
 app.get('/api/market-value', async (req, res) => {
   try {
-    const { player, year, set, grade } = req.query;
-
-    // Check cache first
-    const cached = await db('market_values')
-      .join('cards', 'cards.id', 'market_values.card_id')
-      .where('cards.player_name', 'ilike', `%${player}%`)
-      .where('market_values.grade', grade || 'Raw')
-      .where('market_values.last_updated', '>', new Date(Date.now() - 24 * 60 * 60 * 1000))
-      .first();
+    const { player, year, set, grade, cardNumber, parallel, sport, insertSet, auto, relic, printRun } = req.query;
+
+    // Check cache first - only for the exact card (see buildCardKey)
+    const cardQuery = {
+      sport, player, year, set, cardNumber, parallel, insertSet,
+      isAuto: auto === 'true', isRelic: relic === 'true', printRun
+    };
+    const card = catalog.isResolvable(cardQuery)
+      ? await db('cards').where('card_key', buildCardKey(cardQuery)).first()
+      : null;
+
+    if (card) {
+      const cached = await db('market_values')
+        .where('card_id', card.id)
+        .where('grade', gradeKey(grade))
+        .where('last_updated', '>', new Date(Date.now() - 24 * 60 * 60 * 1000))
+        .orderBy('last_updated', 'desc')
+        .first();
 
-    if (cached) {
-      return res.json({ success: true, data: cached, source: 'cache' });
+      if (cached) {
+        return res.json({ success: true, data: { ...cached, card }, source: 'cache' });
+      }
     }
 
     // Fetch fresh data
-    const marketValue = await pricing.getMarketValue({ player, year, set, grade });
+    const marketValue = await pricing.getMarketValue({ player, year, set, grade, cardNumber, parallel, sport });
 
     res.json({
       success: true,
@@ -159,13 +366,15 @@ app.get('/api/market-value', async (req, res) => {
 // User watchlist
 app.post('/api/watchlist', async (req, res) => {
   try {
-    const { userId, playerName, minDealScore = 20 } = req.body;
+    const { userId, playerName, minDealScore = 20, minNetProfit, minRoi } = req.body;
 
     const [watchItem] = await db('user_watchlists')
       .insert({
         user_id: userId,
         player_name: playerName,
-        min_deal_score: minDealScore
+        min_deal_score: minDealScore,
+        min_net_profit: minNetProfit != null ? Number(minNetProfit) : null,  // Alert on profit after fees
+        min_roi: minRoi != null ? Number(minRoi) : null
       })
       .returning('*');
 
@@ -212,161 +421,120 @@ app.delete('/api/clear-data', async (req, res) => {
 // PRICE DATA CSV UPLOAD
 // ============================================
 
-// Configure multer for file uploads (in memory)
-const upload = multer({ storage: multer.memoryStorage() });
+// Uploads are streamed to disk and imported in the background
+const PRICE_UPLOAD_DIR = process.env.PRICE_UPLOAD_DIR || join(__dirname, '../uploads');
+const upload = multer({ dest: PRICE_UPLOAD_DIR });
 
 /**
- * Parse SportsCardPro product info to extract structured data
- * Example: console="2024 Panini Prizm", product="LeBron James [Green Pulsar] #130"
+ * Upload SportsCardPro CSV file
+ * POST /api/price-data/upload?dryRun=true
+ * Each upload is a new import batch - rows are upserted by SCP product ID.
+ * Returns 202 straight away; follow progress on GET /api/price-data/imports/:id
+ * or the import:progress socket event. A dry run parses and compares against
+ * stored rows without writing and keeps the parse report.
  */
-function parseSCPProduct(consoleName, productName) {
-  const result = {
-    year: null,
-    set: null,
-    cardNumber: null,
-    parallel: null,
-    playerName: null
-  };
-
-  // Extract year from console name (e.g., "2024 Panini Prizm" → 2024)
-  const yearMatch = consoleName.match(/\b(19[89]\d|20[0-2]\d)\b/);
-  if (yearMatch) result.year = yearMatch[1];
-
-  // Extract card number from product name (e.g., "#130" → "130")
-  const cardMatch = productName.match(/#(\d{1,4})\b/);
-  if (cardMatch) result.cardNumber = cardMatch[1];
-
-  // Extract parallel from product name (e.g., "[Green Pulsar]" → "green pulsar")
-  const parallelMatch = productName.match(/\[([^\]]+)\]/);
-  if (parallelMatch) {
-    result.parallel = parallelMatch[1].toLowerCase().trim();
-  }
-
-  // Check console name for parallel indicators (e.g., "2012 Panini Prizm Silver")
-  if (!result.parallel) {
-    const combined = (consoleName + ' ' + productName).toLowerCase();
-    const parallelIndicators = [
-      'silver prizm', 'gold prizm', 'blue prizm', 'red prizm', 'green prizm',
-      'orange prizm', 'purple prizm', 'pink prizm', 'black prizm',
-      'silver', 'gold', 'blue', 'red', 'green', 'orange', 'purple', 'pink', 'black',
-      'holo', 'refractor', 'mojo', 'shimmer', 'ice', 'wave', 'velocity'
-    ];
-    for (const p of parallelIndicators) {
-      if (combined.includes(p) && !combined.match(new RegExp(`panini\\s+${p}\\b`))) {
-        result.parallel = p;
-        break;
-      }
+app.post('/api/price-data/upload', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'No file uploaded' });
     }
-  }
 
-  // Extract set from console name
-  const setPatterns = [
-    { pattern: /PRIZM/i, name: 'prizm' },
-    { pattern: /OPTIC/i, name: 'optic' },
-    { pattern: /SELECT/i, name: 'select' },
-    { pattern: /MOSAIC/i, name: 'mosaic' },
-    { pattern: /HOOPS/i, name: 'hoops' },
-    { pattern: /DONRUSS/i, name: 'donruss' },
-    { pattern: /CONTENDERS/i, name: 'contenders' },
-    { pattern: /BOWMAN\s*CHROME/i, name: 'bowman chrome' },
-    { pattern: /TOPPS\s*CHROME/i, name: 'topps chrome' },
-    { pattern: /BOWMAN/i, name: 'bowman' },
-    { pattern: /TOPPS/i, name: 'topps' },
-  ];
-  for (const { pattern, name } of setPatterns) {
-    if (pattern.test(consoleName)) {
-      result.set = name;
-      break;
-    }
+    const sport = req.body.sport || 'basketball';
+    const sourceFile = req.file.originalname;
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+
+    const batch = await priceImports.importFile(req.file.path, { sport, sourceFile, dryRun });
+
+    console.log(`Queued ${dryRun ? 'dry run' : 'import'} #${batch.id} ${sport}: ${sourceFile} (${req.file.size} bytes)`);
+    res.status(202).json({ success: true, importId: batch.id, status: batch.status, dryRun, sport, file: sourceFile });
+  } catch (error) {
+    console.error('CSV upload error:', error);
+    if (req.file) await fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
-  // Extract player name (everything before [ or #)
-  const playerMatch = productName.match(/^([^[#]+)/);
-  if (playerMatch) {
-    result.playerName = playerMatch[1].trim();
+/**
+ * List import batches
+ * GET /api/price-data/imports?sport=basketball
+ */
+app.get('/api/price-data/imports', async (req, res) => {
+  try {
+    const imports = await priceImports.listImports({ sport: req.query.sport });
+    res.json({ success: true, data: imports });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
   }
+});
 
-  return result;
-}
+/**
+ * Get one import batch with its progress
+ * GET /api/price-data/imports/:id
+ */
+app.get('/api/price-data/imports/:id', async (req, res) => {
+  try {
+    const batch = await priceImports.getStatus(req.params.id);
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
 /**
- * Upload SportsCardPro CSV file
- * POST /api/price-data/upload
+ * Stop a queued or running import - rows already applied stay until rolled back
+ * POST /api/price-data/imports/:id/cancel
  */
-app.post('/api/price-data/upload', upload.single('file'), async (req, res) => {
+app.post('/api/price-data/imports/:id/cancel', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ success: false, error: 'No file uploaded' });
-    }
+    const batch = await priceImports.cancel(req.params.id);
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    const sport = req.body.sport || 'basketball';
-    const sourceFile = req.file.originalname;
+/**
+ * Parse report for an import - skip reasons with sample rows, set/parallel/year
+ * distributions, and rows whose parallel was guessed from the console name
+ * GET /api/price-data/imports/:id/report
+ */
+app.get('/api/price-data/imports/:id/report', async (req, res) => {
+  try {
+    const report = await priceImports.getReport(req.params.id);
+    res.json({ success: true, data: report });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    // Parse CSV
-    const csvContent = req.file.buffer.toString('utf-8');
-    const records = parse(csvContent, {
-      columns: true,
-      skip_empty_lines: true,
-      relaxColumnCount: true
+/**
+ * Rows an import inserted or changed, with before/after values
+ * GET /api/price-data/imports/:id/diff?action=update&limit=100&offset=0
+ */
+app.get('/api/price-data/imports/:id/diff', async (req, res) => {
+  try {
+    const { action, limit = 100, offset = 0 } = req.query;
+    const diff = await priceImports.getDiff(req.params.id, {
+      action,
+      limit: Math.min(parseInt(limit) || 100, 1000),
+      offset: parseInt(offset) || 0
     });
+    res.json({ success: true, data: diff });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
 
-    console.log(`Parsing ${records.length} records from ${sourceFile}`);
-
-    // Clear existing data for this sport (or this file)
-    await db('price_data').where({ sport }).del();
-
-    // Process and insert records in batches
-    const BATCH_SIZE = 500;
-    let inserted = 0;
-
-    for (let i = 0; i < records.length; i += BATCH_SIZE) {
-      const batch = records.slice(i, i + BATCH_SIZE);
-      const rows = [];
-
-      for (const record of batch) {
-        const consoleName = record['console-name'] || '';
-        const productName = record['product-name'] || '';
-
-        // Skip non-card items
-        if (!consoleName || !productName) continue;
-        if (consoleName.toLowerCase().includes('funko')) continue;
-        if (consoleName.toLowerCase().includes('box')) continue;
-
-        const parsed = parseSCPProduct(consoleName, productName);
-
-        // Skip if we can't parse essential info
-        if (!parsed.cardNumber || !parsed.year) continue;
-
-        rows.push({
-          scp_id: record['id'] || null,
-          console_name: consoleName,
-          product_name: productName,
-          sport: sport,
-          year: parsed.year,
-          set_name: parsed.set,
-          card_number: parsed.cardNumber,
-          parallel: parsed.parallel,
-          player_name: parsed.playerName,
-          raw_price: parseInt(record['loose-price']) || null,
-          psa8_price: parseInt(record['new-price']) || null,
-          psa9_price: parseInt(record['graded-price']) || null,
-          psa10_price: parseInt(record['manual-only-price']) || null,
-          bgs10_price: parseInt(record['bgs-10-price']) || null,
-          source_file: sourceFile
-        });
-      }
-
-      if (rows.length > 0) {
-        await db('price_data').insert(rows);
-        inserted += rows.length;
-      }
-    }
-
-    console.log(`Inserted ${inserted} price records for ${sport}`);
-    res.json({ success: true, inserted, sport, file: sourceFile });
+/**
+ * Undo the latest import for a sport
+ * POST /api/price-data/imports/:id/rollback
+ */
+app.post('/api/price-data/imports/:id/rollback', async (req, res) => {
+  try {
+    const result = await priceImports.rollback(req.params.id);
+    res.json({ success: true, data: result });
   } catch (error) {
-    console.error('CSV upload error:', error);
-    res.status(500).json({ success: false, error: error.message });
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
@@ -384,10 +552,23 @@ app.get('/api/price-data/stats', async (req, res) => {
     const bySet = await db('price_data')
       .select('sport', 'set_name', 'year')
       .count('* as count')
+      .max({ last_updated: db.raw('COALESCE(confirmed_at, uploaded_at)') })
       .groupBy('sport', 'set_name', 'year')
       .orderBy([{ column: 'sport' }, { column: 'year', order: 'desc' }]);
 
-    res.json({ success: true, bySport: stats, bySet });
+    // Sets whose newest price is past the staleness limit for their sport
+    const staleSets = await getStaleSets(appSettings.staleness);
+    const staleDeals = await db('listings').where({ is_active: true, price_stale: true }).count('* as count').first();
+
+    const warnings = [];
+    if (staleSets.length > 0) {
+      warnings.push(`${staleSets.length} price data sets are past their staleness limit - re-upload SportsCardPro CSVs`);
+    }
+    if (parseInt(staleDeals.count) > 0) {
+      warnings.push(`${staleDeals.count} active deals are quarantined as priced on stale data`);
+    }
+
+    res.json({ success: true, bySport: stats, bySet, staleSets, warnings });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -481,7 +662,16 @@ let appSettings = {
   maxPrice: 500,        // Maximum price to search for
   minDealScore: 10,     // Minimum deal score to save
   scanInterval: 5,      // Minutes between scans
-  cardYear: null        // Filter to specific card year (null = all years)
+  refreshInterval: 10,  // Minutes between re-checks of saved listings
+  cardYear: null,       // Filter to specific card year (null = all years)
+  graders: GRADERS,     // Grading companies to scan for
+  minGrade: 9,          // Lowest grade to save (9 = 9, 9.5 and 10)
+  rawMode: false,       // Also scan ungraded cards for every player (or per player via scan_raw)
+  comcEnabled: false,   // Scan COMC alongside eBay
+  minConfidence: 25,    // Minimum market value confidence (0-100) to save a deal
+  costModel: DEFAULT_COST_MODEL, // Fees, shipping and tax used for net profit
+  scoring: DEFAULT_SCORING,      // Deal score strategy and weights
+  staleness: DEFAULT_STALENESS   // Max price data age per source/sport before deals are quarantined
 };
 
 // Scan counter (tracks cards scanned since last reset)
@@ -497,13 +687,25 @@ app.get('/api/settings', (req, res) => {
 
 // Update settings
 app.post('/api/settings', (req, res) => {
-  const { minPrice, maxPrice, minDealScore, scanInterval, cardYear } = req.body;
+  const { minPrice, maxPrice, minDealScore, scanInterval, refreshInterval, cardYear, graders, minGrade, rawMode, comcEnabled, minConfidence, costModel, scoring, staleness } = req.body;
 
   if (minPrice !== undefined) appSettings.minPrice = Number(minPrice);
   if (maxPrice !== undefined) appSettings.maxPrice = Number(maxPrice);
   if (minDealScore !== undefined) appSettings.minDealScore = Number(minDealScore);
   if (scanInterval !== undefined) appSettings.scanInterval = Number(scanInterval);
+  if (refreshInterval !== undefined) appSettings.refreshInterval = Number(refreshInterval);
   if (cardYear !== undefined) appSettings.cardYear = cardYear ? Number(cardYear) : null;
+  if (Array.isArray(graders)) {
+    const normalized = [...new Set(graders.map(normalizeGrader).filter(Boolean))];
+    if (normalized.length > 0) appSettings.graders = normalized;
+  }
+  if (minGrade !== undefined) appSettings.minGrade = Number(minGrade);
+  if (rawMode !== undefined) appSettings.rawMode = Boolean(rawMode);
+  if (comcEnabled !== undefined) appSettings.comcEnabled = Boolean(comcEnabled);
+  if (minConfidence !== undefined) appSettings.minConfidence = Number(minConfidence);
+  if (costModel && typeof costModel === 'object') appSettings.costModel = normalizeCostModel(costModel, appSettings.costModel);
+  if (scoring && typeof scoring === 'object') appSettings.scoring = normalizeScoring(scoring, appSettings.scoring);
+  if (staleness && typeof staleness === 'object') appSettings.staleness = normalizeStaleness(staleness, appSettings.staleness);
 
   console.log('Settings updated:', appSettings);
   res.json({ success: true, data: appSettings });
@@ -639,6 +841,135 @@ app.get('/api/reports', async (req, res) => {
   }
 });
 
+// ============================================
+// PARSE DEBUGGING API
+// ============================================
+
+/**
+ * How the scanner parses a title - the listing fields it would use, the card
+ * parser's per-field rules and confidence, what cardSets detects, and the
+ * price_data rows local pricing would consider with why each was rejected
+ * POST /api/parse
+ * Body: { title, aspects?: [{ name, value }] | { name: value }, sport?, grade? }
+ */
+app.post('/api/parse', async (req, res) => {
+  try {
+    const { title, aspects, sport, grade } = req.body;
+    if (!title || typeof title !== 'string') {
+      return res.status(400).json({ success: false, error: 'title is required' });
+    }
+
+    const listing = ebay.parseListing(title, aspects || []);
+    const card = {
+      year: listing.year,
+      set: listing.setName,
+      grade: grade || listing.grade,
+      cardNumber: listing.cardNumber,
+      parallel: listing.parallel,
+      insertSet: listing.insertSet,
+      printRun: listing.printRun,
+      isRookie: listing.isRookie,
+      isAuto: listing.isAuto,
+      isRelic: listing.isRelic,
+      sport: sport || listing.sport
+    };
+
+    res.json({
+      success: true,
+      data: {
+        listing: {
+          year: listing.year,
+          setName: listing.setName,
+          cardNumber: listing.cardNumber,
+          parallel: listing.parallel,
+          insertSet: listing.insertSet,
+          playerName: listing.playerName,
+          grader: listing.grader,
+          grade: listing.grade,
+          sport: listing.sport,
+          isRookie: listing.isRookie,
+          isAuto: listing.isAuto,
+          isRelic: listing.isRelic,
+          isRpa: listing.isRpa,
+          certNumber: listing.certNumber,
+          serialNumber: listing.serialNumber,
+          printRun: listing.printRun,
+          serialPremium: listing.serialPremium
+        },
+        titleParse: parseCardTitle(title, { playerName: listing.playerName }),
+        cardSets: {
+          parallel: cardSets.detectParallel(title),
+          insertSet: cardSets.detectInsert(title, listing.setName || null),
+          canonicalSet: cardSets.getCanonicalSetName(listing.setName)
+        },
+        localCandidates: await localPricing.explainMatch(card)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Saved parse regression cases with their latest result
+ * GET /api/parse/regressions
+ */
+app.get('/api/parse/regressions', async (req, res) => {
+  try {
+    const cases = await parseRegressions.list();
+    res.json({ success: true, data: cases });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Save a regression case - a title (or a reported listing) with the parse it should get
+ * POST /api/parse/regressions
+ * Body: { title?, reportId?, aspects?, expected: { year, setName, cardNumber, parallel, ... }, notes? }
+ */
+app.post('/api/parse/regressions', async (req, res) => {
+  try {
+    const { title, reportId, aspects, expected, notes } = req.body;
+    const result = await parseRegressions.add({
+      title,
+      reportId: reportId ? parseInt(reportId) : null,
+      aspects,
+      expected,
+      notes
+    });
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Re-run every regression case (same as npm run parse:regressions)
+ * POST /api/parse/regressions/run
+ */
+app.post('/api/parse/regressions/run', async (req, res) => {
+  try {
+    const result = await parseRegressions.runAll();
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Delete a regression case
+ * DELETE /api/parse/regressions/:id
+ */
+app.delete('/api/parse/regressions/:id', async (req, res) => {
+  try {
+    const result = await parseRegressions.remove(req.params.id);
+    res.json({ success: true, data: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // MONITORED PLAYERS API
 // ============================================
@@ -658,7 +989,7 @@ app.get('/api/players', async (req, res) => {
 // Add a new player to monitor
 app.post('/api/players', async (req, res) => {
   try {
-    const { name, sport } = req.body;
+    const { name, sport, scanRaw = false } = req.body;
     if (!name || !sport) {
       return res.status(400).json({ success: false, error: 'Name and sport are required' });
     }
@@ -673,7 +1004,7 @@ app.post('/api/players', async (req, res) => {
     }
 
     const [player] = await db('monitored_players')
-      .insert({ name: name.trim(), sport: sport.toLowerCase(), active: true })
+      .insert({ name: name.trim(), sport: sport.toLowerCase(), active: true, scan_raw: Boolean(scanRaw) })
       .returning('*');
 
     console.log(`Added player: ${name} (${sport})`);
@@ -683,28 +1014,55 @@ app.post('/api/players', async (req, res) => {
   }
 });
 
-// Toggle player active status
+// Toggle player active status and raw scanning
 app.patch('/api/players/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const { active } = req.body;
+    const { active, scanRaw } = req.body;
+
+    const update = {};
+    if (active !== undefined) update.active = Boolean(active);
+    if (scanRaw !== undefined) update.scan_raw = Boolean(scanRaw);
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
 
     const [player] = await db('monitored_players')
       .where({ id })
-      .update({ active })
+      .update(update)
       .returning('*');
 
     if (!player) {
       return res.status(404).json({ success: false, error: 'Player not found' });
     }
 
-    console.log(`Player ${player.name} ${active ? 'enabled' : 'disabled'}`);
+    if (active !== undefined) console.log(`Player ${player.name} ${active ? 'enabled' : 'disabled'}`);
+    if (scanRaw !== undefined) console.log(`Player ${player.name} raw scanning ${scanRaw ? 'on' : 'off'}`);
     res.json({ success: true, data: player });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+/**
+ * Market trend across a player's cards - value-weighted 7/30/90-day change,
+ * volatility and the biggest 30-day movers
+ * GET /api/players/:id/market?grade=PSA 10
+ */
+app.get('/api/players/:id/market', async (req, res) => {
+  try {
+    const player = await db('monitored_players').where({ id: req.params.id }).first();
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const trend = await trends.getPlayerTrend(player.name, player.sport, { grade: req.query.grade });
+    res.json({ success: true, data: { player: player.name, sport: player.sport, ...trend } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // Delete a player
 app.delete('/api/players/:id', async (req, res) => {
   try {
@@ -723,6 +1081,195 @@ app.delete('/api/players/:id', async (req, res) => {
   }
 });
 
+// ============================================
+// QUERY TEMPLATES API
+// ============================================
+
+// Templates use {player} and {year}; raw templates search ungraded cards
+const QUERY_MODES = ['graded', 'raw'];
+
+// Validate a template body - returns an error message or null
+function validateQueryTemplate({ template, mode }, { requirePlayer = false } = {}) {
+  if (template !== undefined) {
+    if (typeof template !== 'string' || !template.trim()) return 'Template is required';
+    // A global template without {player} would run the same search for everyone
+    if (requirePlayer && !/\{player\}/i.test(template)) return 'Global templates must include {player}';
+  }
+  if (mode !== undefined && !QUERY_MODES.includes(mode)) {
+    return `Mode must be one of: ${QUERY_MODES.join(', ')}`;
+  }
+  return null;
+}
+
+function queryTemplateUpdate({ template, mode, active }) {
+  const update = {};
+  if (template !== undefined) update.template = template.trim();
+  if (mode !== undefined) update.mode = mode;
+  if (active !== undefined) update.active = Boolean(active);
+  return update;
+}
+
+// Get a player's templates, plus the global ones they fall back to
+app.get('/api/players/:id/queries', async (req, res) => {
+  try {
+    const player = await db('monitored_players').where({ id: req.params.id }).first();
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const templates = await db('query_templates').where({ player_id: player.id }).orderBy('id');
+    const globalTemplates = await db('query_templates').whereNull('player_id').orderBy('id');
+    const usingGlobal = !templates.some(t => t.active);
+
+    res.json({ success: true, data: { player, templates, globalTemplates, usingGlobal } });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a template for one player (overrides the global templates)
+app.post('/api/players/:id/queries', async (req, res) => {
+  try {
+    const { template, mode = 'graded' } = req.body;
+    const player = await db('monitored_players').where({ id: req.params.id }).first();
+    if (!player) {
+      return res.status(404).json({ success: false, error: 'Player not found' });
+    }
+
+    const invalid = validateQueryTemplate({ template: template ?? '', mode });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const [created] = await db('query_templates')
+      .insert({ player_id: player.id, template: template.trim(), mode, active: true })
+      .returning('*');
+
+    console.log(`Added query for ${player.name}: ${created.template}`);
+    res.json({ success: true, data: created });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Edit or toggle a player's template
+app.patch('/api/players/:id/queries/:queryId', async (req, res) => {
+  try {
+    const invalid = validateQueryTemplate(req.body);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const update = queryTemplateUpdate(req.body);
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    const [updated] = await db('query_templates')
+      .where({ id: req.params.queryId, player_id: req.params.id })
+      .update(update)
+      .returning('*');
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Query not found' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a player's template
+app.delete('/api/players/:id/queries/:queryId', async (req, res) => {
+  try {
+    const deleted = await db('query_templates')
+      .where({ id: req.params.queryId, player_id: req.params.id })
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Query not found' });
+    }
+    res.json({ success: true, message: 'Query deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get global templates (used by players without their own)
+app.get('/api/queries', async (req, res) => {
+  try {
+    const templates = await db('query_templates').whereNull('player_id').orderBy('id');
+    res.json({ success: true, data: templates });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Add a global template
+app.post('/api/queries', async (req, res) => {
+  try {
+    const { template, mode = 'graded' } = req.body;
+    const invalid = validateQueryTemplate({ template: template ?? '', mode }, { requirePlayer: true });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const [created] = await db('query_templates')
+      .insert({ player_id: null, template: template.trim(), mode, active: true })
+      .returning('*');
+
+    console.log(`Added global query: ${created.template}`);
+    res.json({ success: true, data: created });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Edit or toggle a global template
+app.patch('/api/queries/:queryId', async (req, res) => {
+  try {
+    const invalid = validateQueryTemplate(req.body, { requirePlayer: true });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const update = queryTemplateUpdate(req.body);
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    const [updated] = await db('query_templates')
+      .where({ id: req.params.queryId })
+      .whereNull('player_id')
+      .update(update)
+      .returning('*');
+
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Query not found' });
+    }
+    res.json({ success: true, data: updated });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a global template
+app.delete('/api/queries/:queryId', async (req, res) => {
+  try {
+    const deleted = await db('query_templates')
+      .where({ id: req.params.queryId })
+      .whereNull('player_id')
+      .del();
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Query not found' });
+    }
+    res.json({ success: true, message: 'Query deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 // ============================================
 // TEAM ROSTER API
 // ============================================
@@ -731,7 +1278,8 @@ app.delete('/api/players/:id', async (req, res) => {
 app.get('/api/teams', (req, res) => {
   const teams = {
     basketball: Object.keys(teamRosters.nba).sort(),
-    baseball: Object.keys(teamRosters.mlb).sort()
+    baseball: Object.keys(teamRosters.mlb).sort(),
+    football: Object.keys(teamRosters.nfl).sort()
   };
   res.json({ success: true, data: teams });
 });
@@ -804,11 +1352,23 @@ app.get('/api/stats', async (req, res) => {
         db.raw('COUNT(*) FILTER (WHERE deal_score >= 30) as hot_deals'),
         db.raw('COUNT(*) FILTER (WHERE is_auction AND auction_end_time < NOW() + INTERVAL \'1 hour\') as ending_soon'),
         db.raw('SUM(market_value - current_price) as total_potential_profit'),
+        db.raw('SUM(net_profit) FILTER (WHERE net_profit > 0) as total_net_profit'),
+        db.raw('AVG(roi) as avg_roi'),
         db.raw('AVG(deal_score) as avg_deal_score')
       )
       .first();
 
-    res.json({ success: true, data: stats });
+    // How our deals actually sold (sold_price vs the market value we flagged)
+    const sold = await db('listings')
+      .where('status', 'sold')
+      .select(
+        db.raw('COUNT(*) as sold_deals'),
+        db.raw('COUNT(*) FILTER (WHERE sold_price < market_value) as sold_below_market'),
+        db.raw('AVG((market_value - sold_price) / NULLIF(market_value, 0) * 100) as avg_sold_discount')
+      )
+      .first();
+
+    res.json({ success: true, data: { ...stats, ...sold } });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
@@ -859,6 +1419,11 @@ const PORT = process.env.PORT || 3001;
 
 httpServer.listen(PORT, "0.0.0.0", () => {
   console.log(`🚀 CardSnipe API running on port ${PORT}`);
+
+  // Pick up price imports interrupted by a restart
+  priceImports.resumeInterrupted().catch(error => {
+    console.error('Failed to resume price imports:', error.message);
+  });
 });
 
 export { app, io };
@@ -0,0 +1,189 @@
+/**
+ * Card Catalog Service
+ *
+ * Resolves listings and imported price rows to one canonical `cards` row
+ * per sport/player/year/set/number/parallel/insert/auto/relic/print run,
+ * and records every valuation
+ * in `market_values` so each card builds up a price history.
+ */
+
+import { db } from '../db/index.js';
+import { PRICE_COLUMNS, gradeKey } from './grading.js';
+
+// Skip re-recording an unchanged value for the same card/grade/source within this window
+const RECORD_DEDUPE_MS = 6 * 60 * 60 * 1000;
+
+function normalizeText(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Canonical key for a card - the same card parsed from an eBay title and a
+ * SportsCardPro product name should produce the same key. Optic #4, Optic
+ * Splash #4, the #4 auto and the #4 /99 are all different cards.
+ */
+export function buildCardKey({ sport, player, year, set, cardNumber, parallel, insertSet, isAuto, isRelic, printRun }) {
+  const number = String(cardNumber || '').replace(/^#/, '').replace(/^0+(?=\w)/, '').toLowerCase().trim();
+  return [
+    normalizeText(sport),
+    normalizeText(player),
+    parseInt(year) || '',
+    normalizeText(set),
+    number,
+    normalizeText(parallel) || 'base',
+    normalizeText(insertSet) || 'none',
+    isAuto ? 'auto' : '',
+    isRelic ? 'relic' : '',
+    parseInt(printRun) || ''
+  ].join('|');
+}
+
+export class CardCatalog {
+  constructor() {
+    this.ids = new Map();       // card_key → cards.id
+    this.recorded = new Map();  // card/grade/source → { value, at }
+  }
+
+  /**
+   * Check a card has enough detail to identify it
+   */
+  isResolvable(card) {
+    return !!(card.sport && card.player && card.year && card.set && card.cardNumber);
+  }
+
+  toCardRow(card, cardKey) {
+    return {
+      card_key: cardKey,
+      sport: card.sport,
+      player_name: String(card.player).substring(0, 100),
+      year: parseInt(card.year) || null,
+      set_name: card.set ? String(card.set).substring(0, 100) : null,
+      card_number: String(card.cardNumber).replace(/^#/, '').substring(0, 20),
+      parallel: card.parallel ? String(card.parallel).substring(0, 50) : null,
+      insert_set: card.insertSet ? String(card.insertSet).substring(0, 255) : null,
+      is_auto: !!card.isAuto,
+      is_relic: !!card.isRelic,
+      print_run: parseInt(card.printRun) || null
+    };
+  }
+
+  /**
+   * Find or create the cards row for a card
+   * @param {Object} card - { sport, player, year, set, cardNumber, parallel, insertSet, isAuto, isRelic, printRun }
+   * @returns {number|null} cards.id, or null if the card can't be identified
+   */
+  async resolveCard(card) {
+    if (!this.isResolvable(card)) return null;
+
+    const ids = await this.resolveCards([card]);
+    return ids.get(buildCardKey(card)) || null;
+  }
+
+  /**
+   * Find or create cards rows in bulk
+   * @returns {Map} card_key → cards.id
+   */
+  async resolveCards(cards) {
+    const result = new Map();
+    const missing = new Map();
+
+    for (const card of cards) {
+      if (!this.isResolvable(card)) continue;
+      const cardKey = buildCardKey(card);
+      if (this.ids.has(cardKey)) {
+        result.set(cardKey, this.ids.get(cardKey));
+      } else if (!missing.has(cardKey)) {
+        missing.set(cardKey, this.toCardRow(card, cardKey));
+      }
+    }
+
+    if (missing.size === 0) return result;
+
+    await db('cards')
+      .insert([...missing.values()])
+      .onConflict('card_key')
+      .ignore();
+
+    const rows = await db('cards')
+      .whereIn('card_key', [...missing.keys()])
+      .select('id', 'card_key');
+
+    for (const row of rows) {
+      this.ids.set(row.card_key, row.id);
+      result.set(row.card_key, row.id);
+    }
+    return result;
+  }
+
+  /**
+   * Record values in market_values, skipping unchanged repeats
+   * Grades are stored as gradeKey ("PSA 9" → "Grade 9").
+   * @param {Array} values - [{ cardId, grade, value, source }]
+   * @param {Object} options
+   * @param {boolean} options.dedupe - Skip values recorded recently (off for bulk imports)
+   * @param {number} options.importId - CSV import batch, so a rollback can remove the rows
+   */
+  async recordValues(values, { dedupe = true, importId = null } = {}) {
+    const now = Date.now();
+    const rows = [];
+
+    for (const { cardId, grade: rawGrade, value, source } of values) {
+      if (!cardId || !(value > 0)) continue;
+      const grade = gradeKey(rawGrade);
+
+      if (dedupe) {
+        const key = `${cardId}:${grade}:${source}`;
+        const last = this.recorded.get(key);
+        if (last && last.value === value && now - last.at < RECORD_DEDUPE_MS) continue;
+        this.recorded.set(key, { value, at: now });
+      }
+
+      rows.push({
+        card_id: cardId,
+        grade: grade.substring(0, 20),
+        market_value: value,
+        source,
+        import_id: importId,
+        last_updated: new Date(now)
+      });
+    }
+
+    if (rows.length > 0) {
+      await db('market_values').insert(rows);
+    }
+    return rows.length;
+  }
+
+  /**
+   * Record a scanner valuation - one row per price source that had a value,
+   * plus the blended value when more than one source was used
+   */
+  async recordValuation(cardId, grade, marketData) {
+    if (!cardId || !marketData?.value) return 0;
+
+    const values = (marketData.sources || [])
+      .filter(s => s.value > 0)
+      .map(s => ({ cardId, grade, value: s.value, source: s.source }));
+
+    if (marketData.source === 'composite') {
+      values.push({ cardId, grade, value: marketData.value, source: 'composite' });
+    }
+
+    return this.recordValues(values);
+  }
+
+  /**
+   * market_values rows for an imported price_data row - one per grade column with a price
+   * Prices in price_data are in cents.
+   */
+  getPriceDataValues(cardId, priceRow) {
+    return Object.values(PRICE_COLUMNS)
+      .filter(({ column }) => priceRow[column] > 0)
+      .map(({ column, label }) => ({
+        cardId,
+        grade: label,
+        value: priceRow[column] / 100,
+        source: 'local'
+      }));
+  }
+}
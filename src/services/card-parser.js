@@ -0,0 +1,340 @@
+/**
+ * Card Identity Parser
+ *
+ * The one parser for card text. eBay and COMC titles, PSA cert fields and
+ * SportsCardPro console/product names all go through the same rules, so a
+ * card gets the same year, set, number and parallel whichever source it
+ * came from. Every field that was found also gets a confidence (0-1) and
+ * the name of the rule that set it:
+ *   { setName: 'Prizm', confidence: { setName: 0.9 }, rules: { setName: 'year_set' } }
+ * Set names are Title Case; compare them case-insensitively (price_data
+ * stores them lowercase).
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { cardSets } from './card-sets.js';
+import { parseGrade } from './grading.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const teamRosters = JSON.parse(readFileSync(join(__dirname, '../data/team-rosters.json'), 'utf-8'));
+
+// NFL roster names - "2020 Prizm Joe Burrow" doesn't say which sport it is
+const footballPlayers = Object.values(teamRosters.nfl || {}).flat().map(name => name.toUpperCase());
+
+// "2023", "2023-24" - not "/2023" (a print run)
+const YEAR_PATTERN = /(?<![\/\d])(19[5-9]\d|20[0-4]\d)(?:-(\d{2}))?(?!\d)/g;
+
+// Set name after a year ("2023 Prizm", "2023-24 Prizm")
+const afterYear = (name) => new RegExp(`\\b(?:19|20)\\d{2}(?:-\\d{2})?[-\\s]+${name}\\b`, 'i');
+
+/**
+ * Set rules, most specific first. Sets that double as parallel or insert
+ * names (Prizm, Optic, Select, Mosaic, Score) only count on their own as
+ * a last resort, so "Pulsar Prizm" in a Select title doesn't make it Prizm.
+ */
+export const SET_RULES = [
+  // Multi-word sets (must check before the base set they start with)
+  { pattern: /PRIZM\s+GLOBAL\s+REACH/i, name: 'Prizm Global Reach', rule: 'named_set', confidence: 0.95 },
+  { pattern: /PRIZM\s+DRAFT\s+PICKS/i, name: 'Prizm Draft Picks', rule: 'named_set', confidence: 0.95 },
+  { pattern: /PRIZM\s+INSTANT\s+IMPACT/i, name: 'Prizm Instant Impact', rule: 'named_set', confidence: 0.95 },
+  { pattern: /PRIZM\s+EMERGENT/i, name: 'Prizm Emergent', rule: 'named_set', confidence: 0.95 },
+  { pattern: /PRIZM\s+SENSATIONAL/i, name: 'Prizm Sensational', rule: 'named_set', confidence: 0.95 },
+  { pattern: /HOOPS\s*PREMIUM\s*STOCK/i, name: 'Hoops Premium Stock', rule: 'named_set', confidence: 0.95 },
+  { pattern: /TOPPS\s*CHROME/i, name: 'Topps Chrome', rule: 'named_set', confidence: 0.95 },
+  { pattern: /BOWMAN\s*CHROME/i, name: 'Bowman Chrome', rule: 'named_set', confidence: 0.95 },
+  { pattern: /STADIUM\s*CLUB/i, name: 'Stadium Club', rule: 'named_set', confidence: 0.95 },
+  { pattern: /NATIONAL\s*TREASURES/i, name: 'National Treasures', rule: 'named_set', confidence: 0.95 },
+  { pattern: /UPPER\s*DECK/i, name: 'Upper Deck', rule: 'named_set', confidence: 0.95 },
+  { pattern: /DONRUSS\s+OPTIC/i, name: 'Optic', rule: 'named_set', confidence: 0.95 },
+  // Base sets named with the brand or year ("Panini Prizm", "2023 Prizm")
+  ...['Prizm', 'Optic', 'Select', 'Mosaic', 'Score', 'Contenders', 'Chronicles'].flatMap(name => [
+    { pattern: new RegExp(`PANINI\\s+${name}\\b`, 'i'), name, rule: 'brand_set', confidence: 0.9 },
+    { pattern: afterYear(name), name, rule: 'year_set', confidence: 0.9 }
+  ]),
+  // Set names that aren't also parallels
+  ...['Absolute', 'Phoenix', 'Contenders', 'Chronicles', 'Hoops', 'Donruss', 'Fleer', 'Revolution', 'Bowman', 'Topps']
+    .map(name => ({ pattern: new RegExp(`\\b${name}\\b`, 'i'), name, rule: 'set_keyword', confidence: 0.8 })),
+  // Last resort - the word alone, which may be a parallel
+  ...['Prizm', 'Optic', 'Select', 'Mosaic', 'Score']
+    .map(name => ({ pattern: new RegExp(`\\b${name}\\b`, 'i'), name, rule: 'loose_set_keyword', confidence: 0.5 }))
+];
+
+// "23/99" is a serial number, never a card number
+const CARD_NUMBER_RULES = [
+  { pattern: /#\s*(\d{1,4})\b(?!\/)/, rule: 'hash', confidence: 0.95 },        // #129, # 129 - not #23/99
+  { pattern: /\bNo\.?\s*(\d{1,4})\b(?!\/)/i, rule: 'no', confidence: 0.8 },    // No. 129, No 129
+  { pattern: /\bCard\s*#?(\d{1,4})\b(?!\/)/i, rule: 'card_label', confidence: 0.8 } // Card #129, Card 129
+];
+
+// Serial numbering, checked in order
+const ONE_OF_ONE_PATTERN = /\b(?:1\/1|1\s+of\s+1|one\s+of\s+one)\b/i;
+const SERIAL_PATTERN = /(?<![\d\/])(\d{1,4})\/(\d{1,4})(?![\d\/])/g;                 // 23/99
+const PRINT_RUN_PATTERN = /(?<![\w\/])\/\s*(\d{1,4})(?![\d\/])/;                     // /99, #/99, #'d /99
+const NUMBERED_TO_PATTERN = /(?:\bnumbered|#'?d)\s+(?:to\s+)?(\d{1,4})\b(?!\/)/i;    // numbered to 99
+const JERSEY_NUMBER_PATTERN = /\bjersey\s*(?:num(?:ber)?|match(?:ed)?)\b/i;             // "jersey number", "jersey match"
+const RELIC_PRINT_RUN_PATTERN = /\b(?:jersey|patch(?:es)?|relics?|memorabilia|swatch(?:es)?|worn|used)\b[^a-z\/]{0,12}\/\s*\d/i; // "Jersey #/99", "Jersey #10 /99"
+
+// Checked in order - league/sport words beat rosters, which beat set names
+const SPORT_RULES = [
+  { sport: 'football', keywords: ['NFL', 'FOOTBALL'], rule: 'league_keyword', confidence: 0.95 },
+  { sport: 'basketball', keywords: ['NBA', 'BASKETBALL'], rule: 'league_keyword', confidence: 0.95 },
+  { sport: 'baseball', keywords: ['MLB', 'BASEBALL'], rule: 'league_keyword', confidence: 0.95 },
+  { sport: 'football', keywords: footballPlayers, rule: 'roster', confidence: 0.75 },
+  // Football first - Prizm, Optic, Select, Absolute, National Treasures etc. are shared, so
+  // only football-only sets count ("Phoenix" would also catch Suns and Mercury titles)
+  { sport: 'football', keywords: ['SCORE'], rule: 'set_keyword', confidence: 0.6 },
+  { sport: 'basketball', keywords: ['PRIZM', 'OPTIC', 'SELECT', 'MOSAIC', 'HOOPS'], rule: 'set_keyword', confidence: 0.6 },
+  { sport: 'baseball', keywords: ['TOPPS', 'BOWMAN', 'CHROME', 'SAPPHIRE'], rule: 'set_keyword', confidence: 0.6 }
+];
+
+// Card attributes - RPA (rookie patch auto) implies all three
+const RPA_PATTERN = /\b(RPA|ROOKIE\s+PATCH\s+AUTO(?:GRAPH)?)\b/i;
+const ROOKIE_PATTERN = /\b(RC|ROOKIE|ROOKIES|RATED\s+ROOKIES?|1ST\s+YEAR)\b/i;
+const AUTO_PATTERN = /\b(AUTO|AUTOS|AUTOGRAPH|AUTOGRAPHS|AUTOGRAPHED|SIGNED|SIGNATURES?)\b/i;
+const RELIC_PATTERN = /\b(PATCH|PATCHES|RELIC|RELICS|MEMORABILIA|SWATCH|SWATCHES|MATERIALS?|GAME[-\s]?(?:WORN|USED)|JERSEY(?!\s*(?:NUM|MATCH)))\b/i;
+// Attribute words in an SCP [bracket] ("[Silver Autograph]") - kept as isAuto / isRelic, not the parallel
+const ATTRIBUTE_WORDS_PATTERN = new RegExp(`${RPA_PATTERN.source}|${AUTO_PATTERN.source}|${RELIC_PATTERN.source}`, 'gi');
+const CERT_PATTERN = /\bCERT(?:IFICATION)?\s*(?:#|NO\.?|NUMBER)?\s*:?\s*(\d{7,10})\b/i;
+
+function hasWord(textUpper, keyword) {
+  return new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(textUpper);
+}
+
+function emptyIdentity() {
+  return {
+    year: null,
+    setName: null,
+    cardNumber: null,
+    parallel: null,
+    insertSet: null,
+    playerName: null,
+    sport: null,
+    isRookie: false,
+    isAuto: false,
+    isRelic: false,      // Patch / jersey / memorabilia
+    isRpa: false,
+    certNumber: null,
+    serialNumber: null,
+    printRun: null,
+    serialPremium: null,   // 'one_of_one' | 'jersey' - priced on their own, not as the parallel
+    grader: null,
+    grade: 'Raw',
+    gradeValue: null,
+    gradeInfo: null,
+    confidence: {},
+    rules: {}
+  };
+}
+
+function assign(identity, field, value, rule, confidence) {
+  identity[field] = value;
+  identity.rules[field] = rule;
+  identity.confidence[field] = confidence;
+}
+
+function matchYear(identity, text) {
+  const years = [...text.matchAll(YEAR_PATTERN)];
+  if (years.length === 0) return;
+  const distinct = new Set(years.map(m => m[1]));
+  // Several different years ("2018 rookie, 2023 Prizm") - take the first but trust it less
+  assign(identity, 'year', parseInt(years[0][1]), years[0][2] ? 'season' : 'year', distinct.size > 1 ? 0.6 : 1);
+}
+
+function matchSet(identity, text) {
+  for (const { pattern, name, rule, confidence } of SET_RULES) {
+    if (pattern.test(text)) {
+      assign(identity, 'setName', name, rule, confidence);
+      return;
+    }
+  }
+}
+
+function matchCardNumber(identity, text) {
+  for (const { pattern, rule, confidence } of CARD_NUMBER_RULES) {
+    const match = text.match(pattern);
+    if (match && match[1]) {
+      assign(identity, 'cardNumber', match[1], rule, confidence);
+      return;
+    }
+  }
+}
+
+function matchSport(identity, text, sport) {
+  if (sport) {
+    assign(identity, 'sport', sport.toLowerCase(), 'source', 1);
+    return;
+  }
+  const textUpper = text.toUpperCase();
+  for (const { sport: name, keywords, rule, confidence } of SPORT_RULES) {
+    const found = rule === 'roster'
+      ? keywords.some(kw => textUpper.includes(kw))
+      : keywords.some(kw => hasWord(textUpper, kw));
+    if (found) {
+      assign(identity, 'sport', name, rule, confidence);
+      return;
+    }
+  }
+}
+
+function matchSerial(identity, text) {
+  if (ONE_OF_ONE_PATTERN.test(text)) {
+    assign(identity, 'serialNumber', 1, 'one_of_one', 0.95);
+    assign(identity, 'printRun', 1, 'one_of_one', 0.95);
+  } else {
+    const serial = [...text.matchAll(SERIAL_PATTERN)]
+      .find(m => parseInt(m[2]) > 1 && parseInt(m[1]) >= 1 && parseInt(m[1]) <= parseInt(m[2]));
+    if (serial) {
+      assign(identity, 'serialNumber', parseInt(serial[1]), 'serial', 0.9);
+      assign(identity, 'printRun', parseInt(serial[2]), 'serial', 0.9);
+    } else {
+      const slash = text.match(PRINT_RUN_PATTERN);
+      const numberedTo = text.match(NUMBERED_TO_PATTERN);
+      if (slash && parseInt(slash[1]) > 0) {
+        assign(identity, 'printRun', parseInt(slash[1]), 'print_run', 0.85);
+      } else if (numberedTo && parseInt(numberedTo[1]) > 0) {
+        assign(identity, 'printRun', parseInt(numberedTo[1]), 'numbered_to', 0.8);
+      }
+    }
+  }
+
+  if (identity.printRun === 1) {
+    assign(identity, 'serialPremium', 'one_of_one', identity.rules.printRun, identity.confidence.printRun);
+  } else if (identity.printRun && JERSEY_NUMBER_PATTERN.test(text)) {
+    assign(identity, 'serialPremium', 'jersey', 'jersey_keyword', 0.8);
+  } else if (isLastOfJerseyRun(identity, text)) {
+    assign(identity, 'serialPremium', 'jersey', 'jersey_serial', 0.6);
+  }
+}
+
+// "Jersey 23/23" - the last copy of a run numbered to the player's jersey. A print run
+// right after a relic word ("Game Worn Jersey #/99", "Auto Jersey #10 /99") is just a relic
+function isLastOfJerseyRun(identity, text) {
+  if (!identity.serialNumber || identity.serialNumber !== identity.printRun) return false;
+  return /\bjersey\b/i.test(text) && !RELIC_PRINT_RUN_PATTERN.test(text);
+}
+
+// Catalog parallels (card-sets.js) - multi-word names are far less likely to be a coincidence
+function matchParallel(identity, text, rule = 'catalog') {
+  const parallel = cardSets.detectParallel(text);
+  if (!parallel) return;
+  const multiWord = /[\s-]/.test(parallel);
+  const confidence = rule === 'console_guess' ? 0.4 : (multiWord ? 0.85 : 0.7);
+  assign(identity, 'parallel', parallel, rule, confidence);
+}
+
+// Run after the set and parallel - only the set's own inserts count, "Holo" is also an
+// Optic parallel and "Emergent" part of the Prizm Emergent set name, so those aren't counted twice
+function matchInsert(identity, text) {
+  const insertSet = cardSets.detectInsert(text, identity.setName);
+  if (!insertSet || insertSet === identity.parallel) return;
+  if (identity.setName && identity.setName.toLowerCase().includes(insertSet)) return;
+  assign(identity, 'insertSet', insertSet, 'catalog', 0.7);
+}
+
+function matchAttributes(identity, text) {
+  if (RPA_PATTERN.test(text)) {
+    for (const field of ['isRpa', 'isRookie', 'isAuto', 'isRelic']) {
+      assign(identity, field, true, 'rpa', 0.95);
+    }
+    return;
+  }
+  if (ROOKIE_PATTERN.test(text)) assign(identity, 'isRookie', true, 'keyword', 0.85);
+  if (AUTO_PATTERN.test(text)) assign(identity, 'isAuto', true, 'keyword', 0.9);
+  if (RELIC_PATTERN.test(text)) assign(identity, 'isRelic', true, 'keyword', 0.85);
+  if (identity.isRookie && identity.isAuto && identity.isRelic) {
+    assign(identity, 'isRpa', true, 'rookie_auto_relic', 0.8);
+  }
+}
+
+/**
+ * Parse free text - a listing title, or cert fields joined into one
+ * Example: "2020 Panini Prizm LeBron James #1 PSA 10 Silver"
+ * @param {string} text
+ * @param {Object} options
+ * @param {string} options.sport - Known sport (skips keyword detection)
+ * @param {string} options.playerName - Known player; kept when the text names them
+ * @returns {Object} Card identity with per-field confidence and rules
+ */
+export function parseCardTitle(text, { sport = null, playerName = null } = {}) {
+  const identity = emptyIdentity();
+  if (!text) return identity;
+
+  const certMatch = text.match(CERT_PATTERN);
+  if (certMatch) assign(identity, 'certNumber', certMatch[1], 'cert_label', 0.95);
+
+  matchYear(identity, text);
+  matchSet(identity, text);
+  matchCardNumber(identity, text);
+  matchSerial(identity, text);
+  matchParallel(identity, text);
+  matchInsert(identity, text);
+  matchSport(identity, text, sport);
+  matchAttributes(identity, text);
+
+  if (playerName && text.toLowerCase().includes(playerName.toLowerCase())) {
+    assign(identity, 'playerName', playerName, 'known_player', 1);
+  }
+
+  // Grade (PSA 10, BGS 9.5, SGC 10, BGS 10 Black Label...)
+  const gradeInfo = parseGrade(text);
+  identity.grader = gradeInfo.grader;
+  identity.grade = gradeInfo.label;
+  identity.gradeValue = gradeInfo.grade;
+  identity.gradeInfo = gradeInfo;
+  if (!gradeInfo.isRaw) {
+    identity.rules.grade = 'grade';
+    identity.confidence.grade = 0.9;
+  }
+
+  return identity;
+}
+
+/**
+ * Parse a SportsCardPro product
+ * Example: console="2024 Panini Prizm", product="LeBron James [Green Pulsar] #130"
+ * The console name carries the year and set, the product name the player,
+ * number and parallel. A parallel guessed from the console name (no
+ * [bracket] in the product) has rule 'console_guess' - the likeliest mis-parse.
+ * @returns {Object} Card identity with per-field confidence and rules
+ */
+export function parseSCPProduct(consoleName, productName, { sport = null } = {}) {
+  const identity = emptyIdentity();
+  consoleName = consoleName || '';
+  productName = productName || '';
+  const combined = `${consoleName} ${productName}`;
+
+  matchYear(identity, consoleName);
+  matchSet(identity, consoleName);
+  matchCardNumber(identity, productName);
+  matchSerial(identity, productName);
+  matchSport(identity, combined, sport);
+  matchAttributes(identity, combined);
+
+  // "[Green Pulsar]" → "green pulsar", "[Gold /10]" → "gold" with print run 10,
+  // "[Silver Autograph]" → "silver" (the auto is isAuto), "[Autograph]" → base
+  // A bracket that names an insert rather than a parallel ("[Splash]") is the insert
+  const bracket = productName.match(/\[([^\]]+)\]/);
+  if (bracket) {
+    const name = bracket[1].replace(ONE_OF_ONE_PATTERN, ' ').replace(PRINT_RUN_PATTERN, ' ').replace(/\s+/g, ' ').toLowerCase().trim();
+    if (cardSets.isInsert(name) && !cardSets.isParallel(name)) {
+      assign(identity, 'insertSet', cardSets.normalizeInsert(name), 'bracket', 1);
+    } else {
+      const parallel = name.replace(ATTRIBUTE_WORDS_PATTERN, ' ').replace(/\s+/g, ' ').trim();
+      assign(identity, 'parallel', parallel || null, 'bracket', 1);
+    }
+  } else {
+    // Console name only - product names are mostly player names ("Jalen Green")
+    matchParallel(identity, consoleName, 'console_guess');
+  }
+  if (!identity.insertSet) matchInsert(identity, consoleName);
+
+  // Player is everything before [ or #
+  const player = productName.match(/^([^[#]+)/);
+  if (player && player[1].trim()) {
+    assign(identity, 'playerName', player[1].trim(), 'product_prefix', 0.9);
+  }
+
+  return identity;
+}
@@ -12,6 +12,21 @@ import { dirname, join } from 'path';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// SCP bracket names that are attributes or set names when they appear in a
+// title ("Auto", "Mosaic" in every Mosaic title, "Premium Stock" in Hoops Premium Stock)
+const TITLE_NON_PARALLELS = new Set(['auto', 'autograph', 'variation', 'mosaic', 'premium stock']);
+
+// Rookie subsets numbered in the base set - SCP lists them as base cards, not inserts
+const BASE_SUBSET_INSERTS = new Set(['rookie ticket', 'rated rookies']);
+
+// Whole-word match - "ice" shouldn't match "price", "gold" shouldn't match "goldschmidt"
+function containsWords(text, phrase) {
+  const index = text.indexOf(phrase);
+  if (index === -1) return false;
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![a-z0-9])${escaped}(?![a-z0-9])`).test(text);
+}
+
 class CardSetsService {
   constructor() {
     this.data = null;
@@ -20,6 +35,7 @@ class CardSetsService {
     this.compoundParallels = [];  // Multi-word parallels (check first)
     this.simpleParallels = [];    // Single-word parallels (check after)
     this.setNames = new Map();    // Map of variations to canonical names
+    this.setInserts = new Map();  // Canonical set name → its inserts plus the common ones
     this.load();
   }
 
@@ -61,6 +77,10 @@ class CardSetsService {
           this.allInserts.add(i.toLowerCase());
         }
       }
+      this.setInserts.set(canonical, new Set([
+        ...(set.inserts || []),
+        ...(this.data.commonInserts || [])
+      ].map(i => i.toLowerCase())));
     }
 
     // Add common parallels and inserts
@@ -96,6 +116,15 @@ class CardSetsService {
     return Array.from(this.allInserts).sort((a, b) => b.length - a.length);
   }
 
+  /**
+   * Inserts a set can have - its own plus the common ones
+   */
+  getInsertsForSet(setName) {
+    const canonical = this.getCanonicalSetName(setName);
+    return this.setInserts.get(canonical) ||
+      new Set((this.data.commonInserts || []).map(i => i.toLowerCase()));
+  }
+
   /**
    * Check if a string is a known parallel
    */
@@ -135,25 +164,28 @@ class CardSetsService {
    */
   detectParallel(title) {
     if (!title) return null;
-    const titleLower = title.toLowerCase();
-    const titleUpper = title.toUpperCase();
+    // "Red/White/Blue", "Red, White, Blue" → "red white blue"
+    const titleLower = title.toLowerCase().replace(/[\/,]/g, ' ').replace(/\s+/g, ' ');
 
     // Check compound parallels first (e.g., "blue velocity" before "blue")
     for (const parallel of this.compoundParallels) {
-      if (titleLower.includes(parallel)) {
+      if (TITLE_NON_PARALLELS.has(parallel)) continue;
+      if (containsWords(titleLower, parallel)) {
         return this.normalizeParallel(parallel);
       }
     }
 
     // Then check simple parallels
     for (const parallel of this.simpleParallels) {
+      if (TITLE_NON_PARALLELS.has(parallel)) continue;
+
       // Skip "prizm" if it's just part of set name
       if (parallel === 'prizm') {
         const hasPrizmParallel = /\b(SILVER|GOLD|BLUE|RED|GREEN|ORANGE|PURPLE|PINK|BLACK|WHITE)\s+PRIZM\b/i.test(title);
         if (!hasPrizmParallel) continue;
       }
 
-      if (titleLower.includes(parallel)) {
+      if (containsWords(titleLower, parallel)) {
         return this.normalizeParallel(parallel);
       }
     }
@@ -163,14 +195,21 @@ class CardSetsService {
 
   /**
    * Detect insert set from title text
+   * With a set, only that set's inserts and the common ones count - "Rookies" is a
+   * Revolution insert, not the word in "2023 Prizm Wembanyama Rookies #5". A null
+   * or unknown set gets the common inserts only; leaving setName out checks every
+   * catalog insert (for text that names an insert outright, like eBay's Insert Set).
    * Returns the detected insert or null
    */
-  detectInsert(title) {
+  detectInsert(title, setName = undefined) {
     if (!title) return null;
     const titleLower = title.toLowerCase();
+    const scoped = setName === undefined ? null : this.getInsertsForSet(setName);
 
     for (const insert of this.getInsertsForDetection()) {
-      if (titleLower.includes(insert)) {
+      if (BASE_SUBSET_INSERTS.has(insert)) continue;
+      if (scoped && !scoped.has(insert)) continue;
+      if (containsWords(titleLower, insert)) {
         return this.normalizeInsert(insert);
       }
     }
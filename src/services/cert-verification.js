@@ -0,0 +1,194 @@
+/**
+ * PSA Cert Verification Service
+ *
+ * Looks up the cert number on a PSA slab so matching can use what PSA
+ * graded instead of what the seller typed. Certs never change, so every
+ * lookup is cached in psa_certs - the PSA API free tier is 100 calls/day.
+ */
+
+import { db } from '../db/index.js';
+import { normalizeGrade } from './grading.js';
+import { parseCardTitle } from './card-parser.js';
+
+/**
+ * PSA API calls made today, whatever they returned
+ * Counted from psa_api_calls so the limit holds across worker replicas.
+ */
+export async function countPsaCallsToday() {
+  const startOfDay = new Date();
+  startOfDay.setUTCHours(0, 0, 0, 0);
+  const { count } = await db('psa_api_calls').where('called_at', '>=', startOfDay).count('* as count').first();
+  return parseInt(count);
+}
+
+/**
+ * Log a PSA API call against the daily limit - before making it, so calls
+ * that fail or throw still count
+ * @param {string} endpoint - 'cert' | 'population' | 'price_guide'
+ */
+export async function recordPsaCall(endpoint) {
+  await db('psa_api_calls').insert({ endpoint, called_at: new Date() });
+}
+
+export class CertVerificationService {
+  /**
+   * @param {PSAClient} psa
+   * @param {EbayClient} ebay - Item specifics lookup and the title parser used for cert fields
+   */
+  constructor(psa, ebay) {
+    this.psa = psa;
+    this.ebay = ebay;
+    this.dailyLimit = parseInt(process.env.PSA_DAILY_LIMIT) || 100;
+  }
+
+  /**
+   * Check if PSA credentials are configured
+   */
+  isEnabled() {
+    return !!(process.env.PSA_ACCESS_TOKEN || (process.env.PSA_USERNAME && process.env.PSA_PASSWORD));
+  }
+
+  /**
+   * Find a listing's cert number - parsed from the title/aspects already, or
+   * from the full eBay item specifics (search results don't include them)
+   */
+  async findCertNumber(listing) {
+    if (listing.certNumber) return listing.certNumber;
+    if (!listing.ebayItemId) return null;
+
+    try {
+      const item = await this.ebay.getItemDetails(listing.ebayItemId);
+      return this.ebay.extractAspects(item.localizedAspects || []).certNumber;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get a cert, from the cache or the PSA API
+   * Returns the psa_certs row (found = false for certs PSA doesn't know),
+   * or null if it couldn't be looked up right now.
+   */
+  async getCert(certNumber) {
+    const cached = await db('psa_certs').where({ cert_number: certNumber }).first();
+    if (cached) return cached;
+
+    if (await countPsaCallsToday() >= this.dailyLimit) return null;
+
+    await recordPsaCall('cert');
+    const response = await this.psa.getCertInfo(certNumber);
+    if (!response || response.IsValidRequest === false) return null;
+
+    const row = this.toCertRow(certNumber, response.PSACert);
+    const [saved] = await db('psa_certs')
+      .insert(row)
+      .onConflict('cert_number')
+      .merge()
+      .returning('*');
+    return saved;
+  }
+
+  /**
+   * Map PSA's cert response to a psa_certs row
+   */
+  toCertRow(certNumber, cert) {
+    if (!cert) {
+      return { cert_number: certNumber, found: false, fetched_at: new Date() };
+    }
+
+    const gradeInfo = normalizeGrade({ grader: 'PSA', grade: cert.CardGrade || cert.GradeDescription || '' });
+
+    return {
+      cert_number: certNumber,
+      found: true,
+      spec_id: cert.SpecID || null,
+      year: cert.Year || null,
+      brand: cert.Brand || null,
+      card_number: cert.CardNumber || null,
+      subject: cert.Subject || null,
+      variety: cert.Variety || null,
+      grade: gradeInfo.isRaw ? null : gradeInfo.label,
+      grade_value: gradeInfo.grade,
+      total_population: cert.TotalPopulation ?? null,
+      population_higher: cert.PopulationHigher ?? null,
+      raw: JSON.stringify(cert),
+      fetched_at: new Date()
+    };
+  }
+
+  /**
+   * Card details from a cert, in the same shape as a parsed listing
+   * Runs the cert fields through the card parser so set and parallel names
+   * match what the rest of the scanner uses.
+   */
+  toCardDetails(cert) {
+    const text = [cert.year, cert.brand, cert.subject, cert.card_number ? `#${cert.card_number}` : null, cert.variety]
+      .filter(Boolean)
+      .join(' ');
+    const parsed = parseCardTitle(text, { playerName: cert.subject });
+
+    return {
+      year: parsed.year,
+      setName: parsed.setName,
+      cardNumber: cert.card_number ? String(cert.card_number).replace(/^#/, '').trim() : parsed.cardNumber,
+      parallel: parsed.parallel,   // No variety on the cert = base card
+      insertSet: parsed.insertSet,
+      playerName: cert.subject,
+      grader: 'PSA',
+      grade: cert.grade,
+      gradeValue: cert.grade_value != null ? Number(cert.grade_value) : null
+    };
+  }
+
+  /**
+   * Fields where the listing disagrees with the cert - year, set, card_number, grade
+   * A field missing on either side isn't a mismatch.
+   */
+  compare(listing, details) {
+    const normalizeSet = (s) => String(s).toLowerCase().replace(/\b(19|20)\d{2}(-\d{2})?\b|panini|donruss|[^a-z]/g, '');
+    const normalizeNumber = (n) => String(n).toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+/, '');
+
+    const mismatches = [];
+    if (listing.year && details.year && parseInt(listing.year) !== parseInt(details.year)) {
+      mismatches.push('year');
+    }
+    if (listing.setName && details.setName) {
+      const a = normalizeSet(listing.setName);
+      const b = normalizeSet(details.setName);
+      if (a && b && !a.includes(b) && !b.includes(a)) mismatches.push('set');
+    }
+    if (listing.cardNumber && details.cardNumber && normalizeNumber(listing.cardNumber) !== normalizeNumber(details.cardNumber)) {
+      mismatches.push('card_number');
+    }
+    if (listing.gradeValue != null && details.gradeValue != null && Number(listing.gradeValue) !== details.gradeValue) {
+      mismatches.push('grade');
+    }
+    return mismatches;
+  }
+
+  /**
+   * Verify a PSA listing against its cert
+   * Returns null when there's nothing to verify, otherwise
+   * { certNumber, verified, mismatches, details, specId } - details replace the title parse when verified.
+   */
+  async verify(listing) {
+    if (!this.isEnabled() || listing.grader !== 'PSA') return null;
+
+    const certNumber = await this.findCertNumber(listing);
+    if (!certNumber) return null;
+
+    let cert = null;
+    try {
+      cert = await this.getCert(certNumber);
+    } catch (e) {
+      console.log(`  Cert lookup error ${certNumber}: ${e.message}`);
+    }
+
+    if (!cert || !cert.found) {
+      return { certNumber, verified: false, mismatches: [], details: null, specId: null };
+    }
+
+    const details = this.toCardDetails(cert);
+    return { certNumber, verified: true, mismatches: this.compare(listing, details), details, specId: cert.spec_id };
+  }
+}
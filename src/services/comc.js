@@ -6,33 +6,91 @@
  */
 
 import fetch from 'node-fetch';
+import crypto from 'crypto';
 import * as cheerio from 'cheerio';
-import { cardSets } from './card-sets.js';
+import { parseCardTitle } from './card-parser.js';
+import { isAcceptedGrade, isRawCard, DEFAULT_GRADE_FILTER } from './grading.js';
 
 export class COMCClient {
   constructor() {
     this.baseUrl = 'https://www.comc.com';
+
+    // Rate limiting: COMC is scraped, so keep well under anything that looks abusive
+    this.lastRequestTime = 0;
+    this.minRequestInterval = parseInt(process.env.COMC_MIN_INTERVAL_MS) || 3000;
+    this.nextRequest = Promise.resolve();
+  }
+
+  async rateLimit() {
+    // Chain waits so concurrent scans (queue concurrency > 1) still space out requests
+    const turn = this.nextRequest.then(async () => {
+      const wait = this.lastRequestTime + this.minRequestInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(r => setTimeout(r, wait));
+      }
+      this.lastRequestTime = Date.now();
+    });
+    this.nextRequest = turn;
+    return turn;
+  }
+
+  /**
+   * Stable listing ID from the COMC URL path - the same card from the same
+   * seller keeps its ID across scans, so it dedupes like an eBay item ID
+   */
+  getItemId(listingUrl) {
+    if (!listingUrl) return null;
+    const path = listingUrl.replace(/^https?:\/\/[^/]+/i, '').split(/[?#]/)[0].toLowerCase();
+    return 'comc-' + crypto.createHash('sha1').update(path).digest('hex').slice(0, 40);
+  }
+
+  /**
+   * Re-check a saved COMC listing page
+   * COMC is fixed price and doesn't say whether a gone item sold or was pulled.
+   * @returns {Object} { available, price } - price is null when the page doesn't show one
+   */
+  async getListingState(listingUrl) {
+    await this.rateLimit();
+
+    const response = await fetch(listingUrl, {
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.5'
+      },
+      timeout: 30000
+    });
+
+    if (response.status === 404 || response.status === 410) {
+      return { available: false, price: null };
+    }
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const $ = cheerio.load(await response.text());
+    const available = /add to cart/i.test($('body').text());
+    const priceMatch = $('[class*="price"]').first().text().match(/\$([\d,]+\.?\d*)/);
+    const price = priceMatch ? parseFloat(priceMatch[1].replace(/,/g, '')) : null;
+
+    return { available, price: available ? price : null };
   }
 
   /**
    * Search for cards on COMC
    * Note: COMC doesn't filter well by search query, so we fetch and filter client-side
+   * @param {Object} params
+   * @param {string} params.query - Search text
+   * @param {string} params.player - Player name; results not mentioning it are dropped
+   * @param {Object} params.gradeFilter - { graders, minGrade } for slabs
+   * @param {boolean} params.includeRaw - Also return ungraded cards
    */
-  async searchListings({ query, sport, limit = 30 }) {
+  async searchListings({ query, player, sport, limit = 30, gradeFilter = DEFAULT_GRADE_FILTER, includeRaw = false }) {
     try {
-      // Extract player name from query for filtering
-      const playerPatterns = [
-        /lebron james/i, /victor wembanyama/i, /luka doncic/i, /anthony edwards/i,
-        /stephen curry/i, /shohei ohtani/i, /mike trout/i, /julio rodriguez/i,
-        /gunnar henderson/i, /juan soto/i, /zion williamson/i, /ja morant/i
-      ];
-      let playerName = null;
-      for (const p of playerPatterns) {
-        if (p.test(query)) {
-          playerName = query.match(p)[0].toLowerCase();
-          break;
-        }
-      }
+      // Filter results to the player we searched for
+      const playerName = player ? player.toLowerCase() : null;
+
+      await this.rateLimit();
 
       // Build COMC search URL
       const searchTerm = query.replace(/\s+/g, '+');
@@ -104,13 +162,15 @@ export class COMCClient {
             imageUrl = `https://img.comc.com${imageUrl}`;
           }
 
-          if (price > 0) {
-            const parsed = this.parseCardDetails(title);
+          if (price > 0 && listingUrl) {
+            const parsed = parseCardTitle(title, { sport, playerName: player });
+            const fullUrl = listingUrl.startsWith('http') ? listingUrl : `${this.baseUrl}${listingUrl}`;
             listings.push({
+              itemId: this.getItemId(fullUrl),
               title: title.substring(0, 200),
               currentPrice: price,
               imageUrl,
-              listingUrl: listingUrl ? (listingUrl.startsWith('http') ? listingUrl : `${this.baseUrl}${listingUrl}`) : '',
+              listingUrl: fullUrl,
               platform: 'comc',
               isAuction: false,
               bidCount: 0,
@@ -151,13 +211,17 @@ export class COMCClient {
             const $img = $row.find('img').first();
             const imageUrl = $img.attr('src') || '';
 
-            if (title.length > 10 && price > 0) {
-              const parsed = this.parseCardDetails(title);
+            if (title.length > 10 && price > 0 && listingUrl) {
+              if (playerName && !title.toLowerCase().includes(playerName)) return;
+
+              const parsed = parseCardTitle(title, { sport, playerName: player });
+              const fullUrl = `${this.baseUrl}${listingUrl}`;
               listings.push({
+                itemId: this.getItemId(fullUrl),
                 title: title.substring(0, 200),
                 currentPrice: price,
                 imageUrl: imageUrl.startsWith('http') ? imageUrl : '',
-                listingUrl: listingUrl ? `${this.baseUrl}${listingUrl}` : '',
+                listingUrl: fullUrl,
                 platform: 'comc',
                 isAuction: false,
                 bidCount: 0,
@@ -168,107 +232,15 @@ export class COMCClient {
         });
       }
 
-      // Filter to only PSA 9 and PSA 10 graded cards
-      return listings.filter(listing => this.isPSA9or10(listing));
+      // Filter to the accepted graders and grades (plus ungraded cards in raw mode)
+      return listings.filter(listing =>
+        isAcceptedGrade(listing.gradeInfo, gradeFilter) ||
+        (includeRaw && isRawCard(listing.gradeInfo, listing.title))
+      );
 
     } catch (error) {
+      console.log(`  [comc] Search failed: ${error.message}`);
       return [];
     }
   }
-
-  /**
-   * Check if a listing is PSA 9 or PSA 10
-   */
-  isPSA9or10(listing) {
-    const title = (listing.title || '').toUpperCase();
-    const grade = (listing.grade || '').toUpperCase();
-    return title.includes('PSA 10') || title.includes('PSA 9') ||
-           grade === 'PSA 10' || grade === 'PSA 9';
-  }
-
-  /**
-   * Extract card details from title
-   */
-  parseCardDetails(title) {
-    const result = {
-      year: null,
-      setName: null,
-      cardNumber: null,
-      grade: 'Raw',
-      parallel: null,
-      insertSet: null,
-      sport: null
-    };
-
-    if (!title) return result;
-
-    const titleUpper = title.toUpperCase();
-
-    // Extract year
-    const yearMatch = title.match(/\b(19[89]\d|20[0-2]\d)\b/);
-    if (yearMatch) result.year = yearMatch[0];
-
-    // Extract card number
-    const numMatch = title.match(/#(\d{1,4})\b/);
-    if (numMatch) result.cardNumber = numMatch[1];
-
-    // Extract grade
-    const gradePatterns = [
-      { pattern: /PSA\s*(\d+)/i, grader: 'PSA' },
-      { pattern: /BGS\s*([\d.]+)/i, grader: 'BGS' },
-      { pattern: /SGC\s*(\d+)/i, grader: 'SGC' },
-      { pattern: /CGC\s*([\d.]+)/i, grader: 'CGC' },
-      { pattern: /CSG\s*(\d+)/i, grader: 'CSG' }
-    ];
-
-    for (const { pattern, grader } of gradePatterns) {
-      const match = title.match(pattern);
-      if (match) {
-        result.grade = `${grader} ${match[1]}`;
-        break;
-      }
-    }
-
-    // Extract parallel using CardSets service
-    result.parallel = cardSets.detectParallel(title);
-
-    // Extract insert set using CardSets service
-    result.insertSet = cardSets.detectInsert(title);
-
-    // Detect set name
-    const setPatterns = [
-      { pattern: /PRIZM/i, name: 'Prizm' },
-      { pattern: /OPTIC/i, name: 'Optic' },
-      { pattern: /SELECT/i, name: 'Select' },
-      { pattern: /MOSAIC/i, name: 'Mosaic' },
-      { pattern: /HOOPS/i, name: 'Hoops' },
-      { pattern: /DONRUSS/i, name: 'Donruss' },
-      { pattern: /TOPPS\s*CHROME/i, name: 'Topps Chrome' },
-      { pattern: /BOWMAN\s*CHROME/i, name: 'Bowman Chrome' },
-      { pattern: /TOPPS/i, name: 'Topps' },
-      { pattern: /BOWMAN/i, name: 'Bowman' }
-    ];
-
-    for (const { pattern, name } of setPatterns) {
-      if (pattern.test(title)) {
-        result.setName = name;
-        break;
-      }
-    }
-
-    // Detect sport
-    const basketballKeywords = ['PRIZM', 'OPTIC', 'SELECT', 'MOSAIC', 'HOOPS', 'NBA', 'BASKETBALL', 'PANINI'];
-    const baseballKeywords = ['TOPPS', 'BOWMAN', 'MLB', 'BASEBALL'];
-    const footballKeywords = ['FOOTBALL', 'NFL'];
-
-    if (basketballKeywords.some(kw => titleUpper.includes(kw))) {
-      result.sport = 'basketball';
-    } else if (baseballKeywords.some(kw => titleUpper.includes(kw))) {
-      result.sport = 'baseball';
-    } else if (footballKeywords.some(kw => titleUpper.includes(kw))) {
-      result.sport = 'football';
-    }
-
-    return result;
-  }
 }
@@ -0,0 +1,100 @@
+/**
+ * Deal Cost Model
+ *
+ * Turns a listing price and a market value into what a flip actually nets:
+ * the all-in cost to buy (price, shipping in, sales tax) against what the
+ * card resells for after marketplace fees, payment processing and shipping out.
+ */
+
+/**
+ * Default fee schedules, per platform
+ *   sellFeeRate / sellFixedFee - marketplace fee when reselling there (eBay final value fee,
+ *     COMC cash-out + processing)
+ *   paymentRate / paymentFixedFee - payment processing on top (eBay's is included in the FVF)
+ *   shippingIn - used when a listing doesn't say what shipping costs
+ */
+export const DEFAULT_COST_MODEL = {
+  taxRate: 0,                            // Sales tax on price + shipping (e.g. 0.0825)
+  resalePlatform: 'ebay',                // Where deals are assumed to be resold
+  shippingOut: { graded: 5, raw: 1.5 },  // Tracked slab box vs PWE/bubble mailer
+  platforms: {
+    ebay: { sellFeeRate: 0.1325, sellFixedFee: 0.4, paymentRate: 0, paymentFixedFee: 0, shippingIn: 5 },
+    comc: { sellFeeRate: 0.1, sellFixedFee: 0.5, paymentRate: 0, paymentFixedFee: 0, shippingIn: 4 }
+  }
+};
+
+const PLATFORM_FIELDS = ['sellFeeRate', 'sellFixedFee', 'paymentRate', 'paymentFixedFee', 'shippingIn'];
+
+function toAmount(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Merge a partial cost model (e.g. from POST /api/settings) over a base model
+ * Unknown keys and negative or non-numeric values are ignored.
+ */
+export function normalizeCostModel(input = {}, base = DEFAULT_COST_MODEL) {
+  const model = {
+    taxRate: toAmount(input.taxRate, base.taxRate),
+    resalePlatform: base.resalePlatform,
+    shippingOut: {
+      graded: toAmount(input.shippingOut?.graded, base.shippingOut.graded),
+      raw: toAmount(input.shippingOut?.raw, base.shippingOut.raw)
+    },
+    platforms: {}
+  };
+
+  const platformNames = new Set([...Object.keys(base.platforms), ...Object.keys(input.platforms || {})]);
+  for (const name of platformNames) {
+    const current = base.platforms[name] || DEFAULT_COST_MODEL.platforms.ebay;
+    const override = input.platforms?.[name] || {};
+    model.platforms[name] = {};
+    for (const field of PLATFORM_FIELDS) {
+      model.platforms[name][field] = toAmount(override[field], current[field]);
+    }
+  }
+
+  if (input.resalePlatform && model.platforms[input.resalePlatform]) {
+    model.resalePlatform = input.resalePlatform;
+  }
+  return model;
+}
+
+/**
+ * Estimate the all-in cost, net resale value and net profit of a deal
+ * @param {Object} listing - { currentPrice, shippingCost, platform, grade }
+ * @param {number} marketValue
+ * @param {Object} model - Cost model (defaults to DEFAULT_COST_MODEL)
+ * @returns {Object} { allInCost, netResaleValue, netProfit, roi } - roi is a percentage
+ */
+export function estimateDealCosts(listing, marketValue, model = DEFAULT_COST_MODEL) {
+  const price = Number(listing.currentPrice) || 0;
+  const buyPlatform = model.platforms[listing.platform] || model.platforms.ebay;
+  const sellPlatform = model.platforms[model.resalePlatform] || model.platforms.ebay;
+
+  // Buying: price, shipping in (listing's own, else the platform default) and tax on both
+  const shippingIn = listing.shippingCost != null && !Number.isNaN(Number(listing.shippingCost))
+    ? Number(listing.shippingCost)
+    : buyPlatform.shippingIn;
+  const allInCost = (price + shippingIn) * (1 + model.taxRate);
+
+  // Reselling at market value: marketplace + payment fees and shipping out
+  const value = Number(marketValue) || 0;
+  const fees = value * (sellPlatform.sellFeeRate + sellPlatform.paymentRate) +
+    sellPlatform.sellFixedFee + sellPlatform.paymentFixedFee;
+  const isRaw = !listing.grade || listing.grade === 'Raw';
+  const shippingOut = isRaw ? model.shippingOut.raw : model.shippingOut.graded;
+  const netResaleValue = Math.max(0, value - fees - shippingOut);
+
+  const netProfit = netResaleValue - allInCost;
+
+  return {
+    allInCost: round2(allInCost),
+    netResaleValue: round2(netResaleValue),
+    netProfit: round2(netProfit),
+    roi: allInCost > 0 ? round2(netProfit / allInCost * 100) : null
+  };
+}
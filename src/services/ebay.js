@@ -6,6 +6,9 @@
  */
 
 import fetch from 'node-fetch';
+import { normalizeGrade, isAcceptedGrade, isRawCard, DEFAULT_GRADE_FILTER } from './grading.js';
+import { parseCardTitle } from './card-parser.js';
+import { cardSets } from './card-sets.js';
 
 export class EbayClient {
   constructor() {
@@ -63,12 +66,14 @@ export class EbayClient {
    * Search for sports card listings
    * @param {Object} params - Search parameters
    * @param {string} params.query - Search query (e.g., "LeBron James Prizm PSA 10")
-   * @param {string} params.sport - 'basketball' | 'baseball'
+   * @param {string} params.sport - 'basketball' | 'baseball' | 'football'
    * @param {string} params.buyingOption - 'FIXED_PRICE' | 'AUCTION' | 'ALL'
    * @param {number} params.minPrice - Minimum price filter
    * @param {number} params.maxPrice - Maximum price filter
    * @param {string} params.sort - 'endingSoonest' | 'price' | 'newlyListed'
    * @param {number} params.limit - Results per page (max 200)
+   * @param {Object} params.gradeFilter - { graders: ['PSA', 'BGS', ...], minGrade: 9 }
+   * @param {boolean} params.raw - Ungraded cards only (ignores gradeFilter)
    */
   async searchListings(params = {}) {
     const token = await this.getAccessToken();
@@ -77,6 +82,7 @@ export class EbayClient {
     const categoryMap = {
       basketball: '214', // Basketball Cards
       baseball: '213',   // Baseball Cards
+      football: '215',   // Football Cards
       all: '212'         // Sports Trading Cards (parent)
     };
 
@@ -95,6 +101,11 @@ export class EbayClient {
       filters.push(`price:[${min}..${max}]`);
     }
 
+    // Trading card condition: 4000 = Ungraded (2750 = Graded)
+    if (params.raw) {
+      filters.push('conditionIds:{4000}');
+    }
+
     // Build URL
     const queryParams = new URLSearchParams({
       q: params.query || '',
@@ -125,18 +136,20 @@ export class EbayClient {
     const data = await response.json();
     const allListings = this.transformListings(data.itemSummaries || []);
 
-    // Filter to only PSA 9 and PSA 10 graded cards
-    return allListings.filter(listing => this.isPSA9or10(listing));
+    // Sellers mislabel condition, so drop anything that still looks slabbed
+    if (params.raw) {
+      return allListings.filter(listing => isRawCard(listing.gradeInfo, listing.title));
+    }
+
+    // Filter to the accepted graders and grades (PSA/BGS/SGC/CGC 9+ by default)
+    return allListings.filter(listing => this.isAcceptedGrade(listing, params.gradeFilter));
   }
 
   /**
-   * Check if a listing is PSA 9 or PSA 10
+   * Check if a listing's grade passes the grader/minimum grade filter
    */
-  isPSA9or10(listing) {
-    const title = (listing.title || '').toUpperCase();
-    const grade = (listing.grade || '').toUpperCase();
-    return title.includes('PSA 10') || title.includes('PSA 9') ||
-           grade.includes('PSA 10') || grade.includes('PSA 9');
+  isAcceptedGrade(listing, gradeFilter = DEFAULT_GRADE_FILTER) {
+    return isAcceptedGrade(listing.gradeInfo, gradeFilter);
   }
 
   /**
@@ -156,7 +169,9 @@ export class EbayClient {
     );
 
     if (!response.ok) {
-      throw new Error(`Failed to fetch item ${itemId}`);
+      const error = new Error(`Failed to fetch item ${itemId}`);
+      error.status = response.status;  // 404 = ended or removed
+      throw error;
     }
 
     return response.json();
@@ -173,7 +188,22 @@ export class EbayClient {
 
       // ALWAYS parse title for parallel detection (eBay aspects often have generic "Blue" instead of "Blue Velocity")
       // Also parse for other fields if aspects are missing
-      const parsedFromTitle = this.parseCardDetails(item.title);
+      const parsedFromTitle = parseCardTitle(item.title, { playerName: aspects.playerName });
+
+      // Grader + grade from item specifics when complete, otherwise from the title
+      const gradeInfo = normalizeGrade({ title: item.title, grader: aspects.grader, grade: aspects.grade });
+
+      // Either the item specifics or the title can say rookie, auto or patch
+      const isRookie = aspects.isRookie || parsedFromTitle.isRookie;
+      const isAuto = aspects.isAuto || parsedFromTitle.isAuto;
+      const isRelic = aspects.isRelic || parsedFromTitle.isRelic;
+
+      const setName = aspects.setName || parsedFromTitle.setName;
+      // For parallel: prefer the MORE SPECIFIC name (title often has "Blue Velocity" while aspects just say "Blue")
+      const parallel = this.getBetterParallel(aspects.parallel, parsedFromTitle.parallel);
+      // Insert Set aspect when the title has none, unless it only repeats the set or parallel ("Emergent" in Prizm Emergent)
+      const aspectInsert = aspects.insertSet && !`${setName || ''} ${parallel || ''}`.toLowerCase().includes(aspects.insertSet)
+        ? aspects.insertSet : null;
 
       return {
         ebayItemId: item.itemId,
@@ -195,19 +225,40 @@ export class EbayClient {
 
         // Prefer structured eBay aspects, fall back to parsed title
         year: aspects.year || parsedFromTitle.year,
-        setName: aspects.setName || parsedFromTitle.setName,
+        setName,
         cardNumber: aspects.cardNumber || parsedFromTitle.cardNumber,
-        // For parallel: prefer the MORE SPECIFIC name (title often has "Blue Velocity" while aspects just say "Blue")
-        parallel: this.getBetterParallel(aspects.parallel, parsedFromTitle.parallel),
+        parallel,
+        insertSet: parsedFromTitle.insertSet || aspectInsert,
         playerName: aspects.playerName || parsedFromTitle.playerName,
-        grader: aspects.grader || parsedFromTitle.grader,
-        grade: aspects.grade || parsedFromTitle.grade,
+        grader: gradeInfo.grader,
+        grade: gradeInfo.label,
+        gradeValue: gradeInfo.grade,
+        gradeInfo,
+        certNumber: aspects.certNumber || parsedFromTitle.certNumber,
+        serialNumber: parsedFromTitle.serialNumber,
+        printRun: aspects.printRun || parsedFromTitle.printRun,
+        serialPremium: parsedFromTitle.serialPremium || (aspects.printRun === 1 ? 'one_of_one' : null),
         sport: aspects.sport || parsedFromTitle.sport,
-        isAuto: aspects.isAuto || parsedFromTitle.isAuto || false,
+        isRookie,
+        isAuto,
+        isRelic,
+        isRpa: parsedFromTitle.isRpa || (isRookie && isAuto && isRelic),
       };
     });
   }
 
+  /**
+   * What the scanner makes of a title plus optional item specifics, without an eBay call
+   * @param {string} title
+   * @param {Array|Object} aspects - localizedAspects ([{ name, value }]) or { name: value }
+   */
+  parseListing(title, aspects = []) {
+    const localizedAspects = Array.isArray(aspects)
+      ? aspects
+      : Object.entries(aspects || {}).map(([name, value]) => ({ name, value: String(value) }));
+    return this.transformListings([{ itemId: null, title, localizedAspects }])[0];
+  }
+
   /**
    * Choose the more specific parallel name between aspects and title parsing
    * eBay aspects might say "Blue" while title has "Blue Velocity" - prefer the longer/more specific one
@@ -250,11 +301,16 @@ export class EbayClient {
       setName: null,
       cardNumber: null,
       parallel: null,
+      insertSet: null,
       playerName: null,
       grader: null,
       grade: null,
       sport: null,
+      isRookie: false,
       isAuto: false,
+      isRelic: false,
+      certNumber: null,
+      printRun: null,
     };
 
     for (const aspect of localizedAspects) {
@@ -278,6 +334,10 @@ export class EbayClient {
       else if (name === 'parallel/variety' || name === 'parallel' || name === 'variation' || name === 'insert') {
         result.parallel = value.toLowerCase();
       }
+      // Insert Set - catalog names only ("Base Set", "N/A" are no insert)
+      else if (name === 'insert set') {
+        result.insertSet = cardSets.detectInsert(value);
+      }
       // Player/Athlete
       else if (name === 'player' || name === 'athlete' || name === 'player/athlete') {
         result.playerName = value;
@@ -290,6 +350,16 @@ export class EbayClient {
       else if (name === 'grade') {
         result.grade = value;
       }
+      // Grading company cert number
+      else if (name === 'certification number' || name === 'cert number') {
+        const certMatch = value.match(/\d{7,10}/);
+        if (certMatch) result.certNumber = certMatch[0];
+      }
+      // Serial numbering ("99", "/99", "1/1")
+      else if (name === 'print run' || (name === 'serial numbered' && /\d/.test(value))) {
+        const runMatch = value.match(/(\d{1,4})\s*$/);
+        if (runMatch && parseInt(runMatch[1]) > 0) result.printRun = parseInt(runMatch[1]);
+      }
       // Sport
       else if (name === 'sport') {
         result.sport = value.toLowerCase();
@@ -298,150 +368,20 @@ export class EbayClient {
       else if (name === 'autograph' || name === 'autographed') {
         result.isAuto = value.toLowerCase() === 'yes' || value.toLowerCase() === 'true';
       }
-      // Features (may include autograph info)
-      else if (name === 'features') {
-        if (value.toLowerCase().includes('auto')) {
-          result.isAuto = true;
-        }
+      // Rookie card
+      else if (name === 'rookie' || name === 'rookie card') {
+        result.isRookie = value.toLowerCase() === 'yes' || value.toLowerCase() === 'true';
       }
-    }
-
-    return result;
-  }
-
-  /**
-   * Extract card details from listing title
-   * Example: "2020 Panini Prizm LeBron James #1 PSA 10 Silver"
-   */
-  parseCardDetails(title) {
-    const result = {
-      year: null,
-      playerName: null,
-      setName: null,
-      cardNumber: null,
-      grade: 'Raw',
-      grader: null,
-      parallel: null,
-      sport: null
-    };
-
-    if (!title) return result;
-
-    const titleUpper = title.toUpperCase();
-
-    // Extract year (4 digits starting with 19 or 20)
-    const yearMatch = title.match(/\b(19|20)\d{2}\b/);
-    if (yearMatch) result.year = parseInt(yearMatch[0]);
-
-    // Extract grade
-    const gradePatterns = [
-      /PSA\s*(\d+)/i,
-      /BGS\s*([\d.]+)/i,
-      /SGC\s*(\d+)/i,
-      /CGC\s*([\d.]+)/i
-    ];
-
-    for (const pattern of gradePatterns) {
-      const match = title.match(pattern);
-      if (match) {
-        const grader = pattern.source.split('\\')[0].toUpperCase();
-        result.grader = grader;
-        result.grade = `${grader} ${match[1]}`;
-        break;
-      }
-    }
-
-    // Detect sport from keywords
-    const basketballKeywords = ['PRIZM', 'OPTIC', 'SELECT', 'MOSAIC', 'HOOPS', 'NBA', 'BASKETBALL'];
-    const baseballKeywords = ['TOPPS', 'BOWMAN', 'CHROME', 'MLB', 'BASEBALL', 'SAPPHIRE'];
-
-    if (basketballKeywords.some(kw => titleUpper.includes(kw))) {
-      result.sport = 'basketball';
-    } else if (baseballKeywords.some(kw => titleUpper.includes(kw))) {
-      result.sport = 'baseball';
-    }
-
-    // Extract card number - try multiple patterns
-    const cardNumPatterns = [
-      /#\s*(\d{1,4})\b/,           // #129, # 129
-      /\bNo\.?\s*(\d{1,4})\b/i,    // No. 129, No 129
-      /\bCard\s*#?(\d{1,4})\b/i,   // Card #129, Card 129
-      /\s(\d{1,4})\/\d+\b/,        // 129/500 (numbered cards)
-    ];
-    for (const pattern of cardNumPatterns) {
-      const match = title.match(pattern);
-      if (match && match[1]) {
-        result.cardNumber = match[1];
-        break;
+      // Memorabilia (patch, jersey, bat...)
+      else if (name === 'memorabilia' || name === 'material') {
+        result.isRelic = !!value && !['no', 'none', 'n/a'].includes(value.toLowerCase());
       }
-    }
-
-    // Detect parallels - IMPORTANT: Check multi-word parallels FIRST before single colors
-    const parallels = [
-      // Multi-word parallels (must check first - more specific)
-      'RED/WHITE/BLUE', 'RED WHITE BLUE', 'RED, WHITE, BLUE',
-      'SILVER PRIZM', 'GOLD PRIZM', 'BLUE PRIZM', 'RED PRIZM', 'GREEN PRIZM',
-      'ORANGE PRIZM', 'PURPLE PRIZM', 'PINK PRIZM', 'BLACK PRIZM',
-      'BLUE VELOCITY', 'RED VELOCITY', 'GREEN VELOCITY', 'ORANGE VELOCITY', 'PURPLE VELOCITY',
-      'BLUE PULSAR', 'GREEN PULSAR', 'RED PULSAR', 'ORANGE PULSAR', 'PURPLE PULSAR',
-      'PINK ICE', 'RED ICE', 'BLUE ICE', 'GREEN ICE', 'PURPLE ICE', 'ORANGE ICE',
-      'FAST BREAK', 'BLACK GOLD', 'BLUE SHIMMER', 'GOLD SHIMMER', 'RED SHIMMER',
-      'BLUE WAVE', 'RED WAVE', 'GOLD WAVE', 'HYPER BLUE', 'HYPER PINK', 'HYPER RED',
-      'NEON GREEN', 'NEON ORANGE', 'NEON PINK', 'TIGER CAMO',
-      'GREEN REFRACTOR', 'BLUE REFRACTOR', 'GOLD REFRACTOR', 'RED REFRACTOR',
-      'CRACKED ICE', 'TIE DYE', 'CHECKERBOARD',
-      // Single-word parallels (check after compound names)
-      // NOTE: Removed 'PRIZM' - that's usually a set name, not a parallel
-      'SILVER', 'GOLD', 'BRONZE',
-      'SHIMMER', 'HOLO', 'REFRACTOR', 'MOJO', 'SCOPE', 'WAVE', 'PULSAR', 'HYPER',
-      'DISCO', 'TIGER', 'CAMO', 'ICE', 'NEON', 'LASER', 'VELOCITY'
-    ];
-    for (const parallel of parallels) {
-      if (titleUpper.includes(parallel)) {
-        // Normalize RWB variants
-        if (parallel.includes('RED') && parallel.includes('WHITE') && parallel.includes('BLUE')) {
-          result.parallel = 'red white blue';
-        } else {
-          result.parallel = parallel.toLowerCase();
-        }
-        break;
-      }
-    }
-
-    // Detect set names - use patterns to avoid matching parallels like "Pulsar Prizm"
-    // Check specific insert sets FIRST, then base sets
-    const setPatterns = [
-      // Specific Prizm insert sets (must check before base "Prizm")
-      { pattern: /PRIZM\s+GLOBAL\s+REACH/i, name: 'Prizm Global Reach' },
-      { pattern: /PRIZM\s+DRAFT\s+PICKS/i, name: 'Prizm Draft Picks' },
-      { pattern: /PRIZM\s+INSTANT\s+IMPACT/i, name: 'Prizm Instant Impact' },
-      { pattern: /PRIZM\s+EMERGENT/i, name: 'Prizm Emergent' },
-      { pattern: /PRIZM\s+SENSATIONAL/i, name: 'Prizm Sensational' },
-      // Other specific sets
-      { pattern: /HOOPS\s*PREMIUM\s*STOCK/i, name: 'Hoops Premium Stock' },
-      { pattern: /TOPPS\s*CHROME/i, name: 'Topps Chrome' },
-      { pattern: /BOWMAN\s*CHROME/i, name: 'Bowman Chrome' },
-      { pattern: /STADIUM\s*CLUB/i, name: 'Stadium Club' },
-      // Base sets - year + set name pattern (e.g., "2023 Prizm")
-      { pattern: /\b20\d{2}[-\s]+PRIZM\b/i, name: 'Prizm' },
-      { pattern: /\b20\d{2}[-\s]+OPTIC\b/i, name: 'Optic' },
-      { pattern: /\b20\d{2}[-\s]+SELECT\b/i, name: 'Select' },
-      { pattern: /\b20\d{2}[-\s]+MOSAIC\b/i, name: 'Mosaic' },
-      { pattern: /PANINI\s+PRIZM\b/i, name: 'Prizm' },
-      { pattern: /PANINI\s+OPTIC/i, name: 'Optic' },
-      { pattern: /DONRUSS\s+OPTIC/i, name: 'Optic' },
-      { pattern: /PANINI\s+SELECT/i, name: 'Select' },
-      { pattern: /PANINI\s+MOSAIC/i, name: 'Mosaic' },
-      { pattern: /PANINI\s+CONTENDERS/i, name: 'Contenders' },
-      { pattern: /PANINI\s+CHRONICLES/i, name: 'Chronicles' },
-      { pattern: /\bHOOPS\b/i, name: 'Hoops' },
-      { pattern: /\bDONRUSS\b/i, name: 'Donruss' },
-      { pattern: /\bBOWMAN\b/i, name: 'Bowman' },
-    ];
-    for (const { pattern, name } of setPatterns) {
-      if (pattern.test(title)) {
-        result.setName = name;
-        break;
+      // Features (may include autograph, rookie and relic info)
+      else if (name === 'features') {
+        const features = value.toLowerCase();
+        if (features.includes('auto')) result.isAuto = true;
+        if (/\brookie\b|\brc\b/.test(features)) result.isRookie = true;
+        if (/\b(patch|relic|memorabilia|jersey swatch)\b/.test(features)) result.isRelic = true;
       }
     }
 
@@ -0,0 +1,167 @@
+/**
+ * Grading Service
+ *
+ * One model for slab grades, whether they come from a title ("BGS 9.5"),
+ * eBay item specifics (Professional Grader + Grade) or a stored label.
+ * Also maps each grade to the SportsCardPro price column that values it.
+ */
+
+export const GRADERS = ['PSA', 'BGS', 'SGC', 'CGC'];
+
+// Default scanner filter - any major grader, 9 and up
+export const DEFAULT_GRADE_FILTER = { graders: GRADERS, minGrade: 9 };
+
+// Grader names as they appear in titles and eBay's "Professional Grader" aspect
+const GRADER_ALIASES = [
+  { pattern: /\bPSA\b|PROFESSIONAL SPORTS AUTHENTICATOR/i, grader: 'PSA' },
+  { pattern: /\bBGS\b|\bBVG\b|BECKETT/i, grader: 'BGS' },
+  { pattern: /\bSGC\b|SPORTSCARD GUARANTY/i, grader: 'SGC' },
+  { pattern: /\bCGC\b|\bCSG\b|CERTIFIED GUARANTY/i, grader: 'CGC' }  // CSG was CGC's sports card brand
+];
+
+// "PSA 10", "PSA GEM MT 10", "BGS 9.5", "CGC Pristine 10", "BGS Black Label 10"
+const TITLE_GRADE_PATTERN = /\b(PSA|BGS|BVG|SGC|CGC|CSG)\s*(?:GEM\s*(?:MINT|MT)|MINT|PRISTINE|BLACK\s*LABEL)?\s*(10|[1-9](?:\.5)?)(?!\d|\.\d)/i;
+
+/**
+ * SportsCardPro price columns, best grade first
+ * SCP's CSV/API column names are generic ("graded-price" = any grade 9),
+ * so only the 10s are grader-specific.
+ */
+export const PRICE_COLUMNS = {
+  psa10: { column: 'psa10_price', scpKey: 'manual-only-price', label: 'PSA 10' },
+  bgs10: { column: 'bgs10_price', scpKey: 'bgs-10-price', label: 'BGS 10' },
+  cgc10: { column: 'cgc10_price', scpKey: 'condition-17-price', label: 'CGC 10' },
+  sgc10: { column: 'sgc10_price', scpKey: 'condition-18-price', label: 'SGC 10' },
+  grade95: { column: 'grade95_price', scpKey: 'box-only-price', label: 'Grade 9.5' },
+  psa9: { column: 'psa9_price', scpKey: 'graded-price', label: 'Grade 9' },
+  psa8: { column: 'psa8_price', scpKey: 'new-price', label: 'Grade 8' },      // 8 and 8.5
+  grade7: { column: 'grade7_price', scpKey: 'cib-price', label: 'Grade 7' },  // 7 and 7.5
+  raw: { column: 'raw_price', scpKey: 'loose-price', label: 'Raw' }
+};
+
+/**
+ * Normalize a grader name or alias (e.g. "Beckett (BGS)") to PSA/BGS/SGC/CGC
+ */
+export function normalizeGrader(value) {
+  if (!value) return null;
+  for (const { pattern, grader } of GRADER_ALIASES) {
+    if (pattern.test(value)) return grader;
+  }
+  return null;
+}
+
+function buildGrade(grader, grade, text = '') {
+  const blackLabel = grader === 'BGS' && grade === 10 && /BLACK\s*LABEL/i.test(text);
+  const pristine = grade === 10 && !blackLabel && /PRISTINE/i.test(text);
+
+  let label = `${grader} ${grade}`;
+  if (blackLabel) label += ' Black Label';
+  else if (pristine) label += ' Pristine';
+
+  return { grader, grade, label, blackLabel, pristine, isRaw: false };
+}
+
+const RAW = { grader: null, grade: null, label: 'Raw', blackLabel: false, pristine: false, isRaw: true };
+
+/**
+ * Parse a grade from free text - a title or a stored label like "BGS 10 Black Label"
+ */
+export function parseGrade(text) {
+  if (!text) return { ...RAW };
+  const match = text.match(TITLE_GRADE_PATTERN);
+  if (!match) return { ...RAW };
+
+  const grade = parseFloat(match[2]);
+  if (grade > 10) return { ...RAW };
+
+  return buildGrade(normalizeGrader(match[1]), grade, text);
+}
+
+/**
+ * Combine eBay item specifics with the title
+ * Aspects win when they give both a grader and a numeric grade.
+ * @param {Object} params
+ * @param {string} params.title - Listing title
+ * @param {string} params.grader - "Professional Grader" aspect
+ * @param {string} params.grade - "Grade" aspect (e.g. "10", "GEM MT 10", "9.5")
+ */
+export function normalizeGrade({ title, grader, grade }) {
+  const aspectGrader = normalizeGrader(grader);
+  const aspectGradeMatch = (grade || '').match(/(10|[1-9](?:\.5)?)(?!\d|\.\d)/);
+
+  if (aspectGrader && aspectGradeMatch) {
+    return buildGrade(aspectGrader, parseFloat(aspectGradeMatch[1]), `${title || ''} ${grade}`);
+  }
+
+  return parseGrade(title);
+}
+
+/**
+ * Check a grade against the scanner's grader/minimum grade filter
+ */
+export function isAcceptedGrade(gradeInfo, filter = DEFAULT_GRADE_FILTER) {
+  if (!gradeInfo || gradeInfo.isRaw) return false;
+  const graders = filter.graders || DEFAULT_GRADE_FILTER.graders;
+  const minGrade = filter.minGrade ?? DEFAULT_GRADE_FILTER.minGrade;
+  return graders.includes(gradeInfo.grader) && gradeInfo.grade >= minGrade;
+}
+
+// Anything that suggests a slab - raw mode skips these even without a readable grade
+const SLAB_PATTERN = /\b(PSA|BGS|BVG|SGC|CGC|CSG|HGA|GRADED|SLAB(BED)?|GEM\s*(MINT|MT))\b/i;
+
+/**
+ * Check a listing is an ungraded card - no parsed grade and no slab wording in the title
+ */
+export function isRawCard(gradeInfo, title = '') {
+  if (gradeInfo && !gradeInfo.isRaw) return false;
+  return !SLAB_PATTERN.test(title);
+}
+
+/**
+ * Price columns to try for a grade, in order
+ *
+ * The first entry is the direct match. Later entries are cross-grader
+ * equivalences, used only when the direct column has no price, and always
+ * err low so an equivalence never makes a deal look better than it is:
+ *   - BGS 10 (incl. Pristine/Black Label) → PSA 10. Black Label sells well above
+ *     PSA 10, so this undervalues it.
+ *   - CGC 10 / SGC 10 → Grade 9.5. Both trade below PSA 10, roughly with BGS 9.5.
+ *   - Any 9.5 → Grade 9.
+ * Grades under 7 have no SCP column and return nothing.
+ */
+export function getPriceColumns(gradeInfo) {
+  const direct = (key) => ({ ...PRICE_COLUMNS[key], equivalence: null });
+  const equivalent = (key, note) => ({ ...PRICE_COLUMNS[key], equivalence: note });
+
+  if (!gradeInfo || gradeInfo.isRaw) return [direct('raw')];
+
+  const { grader, grade, label } = gradeInfo;
+
+  if (grade === 10) {
+    if (grader === 'PSA') return [direct('psa10')];
+    if (grader === 'BGS') return [direct('bgs10'), equivalent('psa10', `${label} valued as PSA 10`)];
+    if (grader === 'CGC') return [direct('cgc10'), equivalent('grade95', `${label} valued as Grade 9.5`)];
+    if (grader === 'SGC') return [direct('sgc10'), equivalent('grade95', `${label} valued as Grade 9.5`)];
+  }
+  if (grade === 9.5) return [direct('grade95'), equivalent('psa9', `${label} valued as Grade 9`)];
+  if (grade === 9) return [direct('psa9')];
+  // SCP prices 8/8.5 and 7/7.5 together
+  if (grade >= 8 && grade < 9) return [direct('psa8')];
+  if (grade >= 7 && grade < 8) return [direct('grade7')];
+
+  return [];
+}
+
+/**
+ * Grade key market_values rows are stored under - the SCP price tier label
+ * ("PSA 9" and "Grade 9" are both "Grade 9"), so scanner valuations and
+ * imported prices of the same grade land in one series. Grades with no SCP
+ * column keep their own label ("PSA 6").
+ */
+export function gradeKey(grade) {
+  if (!grade) return PRICE_COLUMNS.raw.label;
+  if (Object.values(PRICE_COLUMNS).some(c => c.label === grade)) return grade;
+  const gradeInfo = parseGrade(grade);
+  const column = getPriceColumns(gradeInfo)[0];
+  return column ? column.label : gradeInfo.label;
+}
@@ -0,0 +1,209 @@
+/**
+ * Listing Lifecycle Service
+ *
+ * Re-polls saved eBay and COMC listings so ended, sold and withdrawn ones
+ * stop showing up as active deals, and records the final sale price.
+ */
+
+import { db } from '../db/index.js';
+import { DEFAULT_COST_MODEL, estimateDealCosts } from './cost-model.js';
+import { DEFAULT_SCORING, scoreDeal, fromListingRow } from './scoring.js';
+
+export class ListingRefreshService {
+  /**
+   * @param {EbayClient} ebay
+   * @param {COMCClient} comc
+   */
+  constructor(ebay, comc) {
+    this.ebay = ebay;
+    this.comc = comc;
+  }
+
+  /**
+   * Refresh the least recently checked active listings
+   * Returns the rows that changed so they can be broadcast
+   * @param {Object} options
+   * @param {Object} options.costModel - Fee/shipping/tax model for re-costing price changes
+   * @param {Object} options.scoring - Deal scoring strategy and weights for re-scoring
+   * @param {number} options.staleScoreFactor - Score multiplier for listings priced on stale data
+   * @param {Array} options.platforms - Platforms to re-check ('ebay', 'comc')
+   */
+  async refreshActiveListings({
+    platforms = ['ebay', 'comc'],
+    limit = 50,
+    minAgeMinutes = 10,
+    costModel = DEFAULT_COST_MODEL,
+    scoring = DEFAULT_SCORING,
+    staleScoreFactor = 1
+  } = {}) {
+    const checkedBefore = new Date(Date.now() - minAgeMinutes * 60 * 1000);
+
+    const listings = await db('listings')
+      .where('is_active', true)
+      .whereIn('platform', platforms)
+      .where(function() {
+        this.whereNull('last_checked').orWhere('last_checked', '<', checkedBefore);
+      })
+      .orderByRaw('last_checked ASC NULLS FIRST')
+      .limit(limit);
+
+    const changed = [];
+    for (const listing of listings) {
+      try {
+        const updated = await this.refreshListing(listing, { costModel, scoring, staleScoreFactor });
+        if (updated) changed.push(updated);
+      } catch (e) {
+        console.log(`  Refresh error ${listing.ebay_item_id}: ${e.message}`);
+      }
+    }
+
+    return { checked: listings.length, changed };
+  }
+
+  /**
+   * Re-poll a single listing and persist any change
+   * Returns the updated row, or null if nothing changed
+   */
+  async refreshListing(listing, { costModel = DEFAULT_COST_MODEL, scoring = DEFAULT_SCORING, staleScoreFactor = 1 } = {}) {
+    const state = listing.platform === 'comc'
+      ? await this.getComcState(listing)
+      : this.getItemState(listing, await this.getEbayItem(listing));
+    const now = new Date();
+
+    const update = { last_checked: now };
+    let changed = false;
+
+    if (state.price != null && Number(state.price) !== Number(listing.current_price)) {
+      update.current_price = state.price;
+      changed = true;
+    }
+    if (state.bidCount != null && state.bidCount !== listing.bid_count) {
+      update.bid_count = state.bidCount;
+      changed = true;
+    }
+    if (state.endTime && !listing.auction_end_time) {
+      update.auction_end_time = state.endTime;
+      changed = true;
+    }
+    if (state.status === 'active') {
+      // Re-score - price, bids and time left all feed the deal score
+      const { listing: deal, market } = fromListingRow({ ...listing, ...update });
+      const { score, strategy, version } = scoreDeal(deal, market, { scoring, costModel, staleScoreFactor });
+
+      if (score !== listing.deal_score) {
+        update.deal_score = score;
+        update.score_strategy = strategy;
+        update.score_version = version;
+        changed = true;
+      }
+
+      // Price changed - net profit moves with it
+      if (update.current_price != null) {
+        const costs = estimateDealCosts(deal, market.value, costModel);
+        update.all_in_cost = costs.allInCost;
+        update.net_resale_value = costs.netResaleValue;
+        update.net_profit = costs.netProfit;
+        update.roi = costs.roi;
+      }
+    } else {
+      update.status = state.status;
+      update.is_active = false;
+      update.ended_at = now;
+      if (state.status === 'sold') {
+        update.sold_price = state.soldPrice;
+      }
+      changed = true;
+    }
+
+    if (changed) {
+      update.last_updated = now;
+    }
+
+    const [updated] = await db('listings')
+      .where('id', listing.id)
+      .update(update)
+      .returning('*');
+
+    if (changed && state.status !== 'active') {
+      const sold = state.status === 'sold' ? ` at $${state.soldPrice}` : '';
+      console.log(`  ${state.status.toUpperCase()}${sold} | ${listing.title.substring(0, 60)}`);
+    }
+
+    return changed ? updated : null;
+  }
+
+  /**
+   * eBay's getItem response, or null once the item has ended or been removed (404)
+   */
+  async getEbayItem(listing) {
+    try {
+      return await this.ebay.getItemDetails(listing.ebay_item_id);
+    } catch (e) {
+      if (e.status !== 404) throw e;
+      return null;
+    }
+  }
+
+  /**
+   * Status and price from the COMC listing page - a gone listing is 'ended',
+   * since COMC doesn't say whether it sold
+   */
+  async getComcState(listing) {
+    const { available, price } = await this.comc.getListingState(listing.listing_url);
+    if (!available) return { status: 'ended' };
+    return { status: 'active', price: price ?? listing.current_price, bidCount: null, endTime: null };
+  }
+
+  /**
+   * Work out status, price and bids from eBay's getItem response
+   * @param {Object} listing - Saved listings row
+   * @param {Object|null} item - getItem response, null if eBay no longer has it
+   */
+  getItemState(listing, item) {
+    const now = Date.now();
+
+    // Gone from eBay - decide between ended, sold and withdrawn from what we saved
+    if (!item) {
+      const endTime = listing.auction_end_time ? new Date(listing.auction_end_time).getTime() : null;
+      const endedNaturally = endTime && endTime <= now;
+
+      if (listing.is_auction && endedNaturally) {
+        return listing.bid_count > 0
+          ? { status: 'sold', soldPrice: listing.current_price }
+          : { status: 'ended' };
+      }
+      // Fixed price items, or auctions pulled before their end time
+      return { status: endedNaturally ? 'ended' : 'withdrawn' };
+    }
+
+    const isAuction = item.buyingOptions?.includes('AUCTION') || false;
+    const price = parseFloat(
+      (isAuction ? item.currentBidPrice?.value : null) ?? item.price?.value ?? listing.current_price
+    );
+    const bidCount = item.bidCount ?? null;
+    const endTime = item.itemEndDate ? new Date(item.itemEndDate) : null;
+    const ended = endTime && endTime.getTime() <= now;
+
+    const result = { status: 'active', price, bidCount, endTime };
+
+    if (isAuction && ended) {
+      result.status = bidCount > 0 ? 'sold' : 'ended';
+      result.soldPrice = price;
+      return result;
+    }
+
+    // Fixed price: out of stock means it sold (or the seller pulled it)
+    const availability = item.estimatedAvailabilities?.[0];
+    if (availability?.estimatedAvailabilityStatus === 'OUT_OF_STOCK') {
+      result.status = availability.estimatedSoldQuantity > 0 ? 'sold' : 'withdrawn';
+      result.soldPrice = price;
+      return result;
+    }
+
+    if (ended) {
+      result.status = 'ended';
+    }
+
+    return result;
+  }
+}
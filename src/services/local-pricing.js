@@ -6,6 +6,105 @@
  */
 
 import { db } from '../db/index.js';
+import { parseGrade, getPriceColumns } from './grading.js';
+
+/**
+ * The getMarketValue parallel rule: exact match or one name starting with
+ * the other ("silver" matches "silver prizm")
+ */
+function parallelMatches(rowParallel, parallelNorm) {
+  const rowNorm = rowParallel ? rowParallel.toLowerCase() : null;
+  if (!parallelNorm) return !rowNorm;  // Base card - no parallel
+  if (rowNorm == null) return false;
+  return rowNorm === parallelNorm || rowNorm.startsWith(parallelNorm) || parallelNorm.startsWith(rowNorm);
+}
+
+/**
+ * Why a price_data row can't price a card - the one set of match rules
+ * getMarketValue and explainMatch both use
+ * @returns {Array} Reject reasons, empty when the row matches
+ */
+function rejectReasons(row, { set, parallel, insertSet, printRun, isAuto, isRelic, sport }) {
+  const reasons = [];
+  const parallelNorm = (parallel || '').toLowerCase().trim();
+
+  if (sport && row.sport !== sport) {
+    reasons.push(`sport: ${row.sport} != ${sport}`);
+  }
+  if (set && (row.set_name || '').toLowerCase() !== set.toLowerCase()) {
+    reasons.push(`set: ${row.set_name || 'none'} != ${set.toLowerCase()}`);
+  }
+  if (!parallelMatches(row.parallel, parallelNorm)) {
+    reasons.push(`parallel: ${row.parallel || 'base'} != ${parallelNorm || 'base'}`);
+  }
+  // Insert set - exact, and a base listing only matches base rows (Optic Splash #4 != Optic #4)
+  if ((row.insert_set || '').toLowerCase() !== (insertSet || '').toLowerCase()) {
+    reasons.push(`insert: ${row.insert_set || 'none'} != ${insertSet ? insertSet.toLowerCase() : 'none'}`);
+  }
+  // Numbered listing - the SCP parallel with the same print run, or an unnumbered one
+  if (printRun && row.print_run != null && row.print_run !== Number(printRun)) {
+    reasons.push(`print run: /${row.print_run} != /${printRun}`);
+  }
+  // Autos only match autos and relics only relics (RPAs are both). NULL = imported
+  // before attributes were parsed. RC flags are missing from too many titles and
+  // SCP names to require - an RC listing just prefers SCP rookies (see preferRows)
+  if (row.is_auto != null && row.is_auto !== !!isAuto) {
+    reasons.push(`auto: ${row.is_auto} != ${!!isAuto}`);
+  }
+  if (row.is_relic != null && row.is_relic !== !!isRelic) {
+    reasons.push(`relic: ${row.is_relic} != ${!!isRelic}`);
+  }
+  return reasons;
+}
+
+/**
+ * Matching rows in the order getMarketValue prices from: the same print run
+ * before an unnumbered row, then SCP rookies for an RC listing, then by id
+ */
+function preferRows(rows, { printRun, isRookie }) {
+  const rank = (row) => [
+    printRun && row.print_run !== Number(printRun) ? 1 : 0,
+    isRookie && row.is_rookie !== true ? 1 : 0,
+    row.id
+  ];
+  return [...rows].sort((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+  });
+}
+
+function describeRow(row) {
+  return `${row.year} ${row.set_name}${row.insert_set ? ' ' + row.insert_set : ''} #${row.card_number} ${row.parallel || 'base'}${row.print_run ? ' /' + row.print_run : ''}`;
+}
+
+/**
+ * Rows with the card's year and number - the match rules run on these.
+ * Pricing narrows by sport, set and insert in SQL (rejectReasons still has the
+ * final say); explainMatch loads them all to show why each was rejected.
+ */
+function loadCandidates(year, cardNumber, card = null) {
+  let query = db('price_data')
+    .where('year', String(year))
+    .where('card_number', String(cardNumber));
+
+  if (card) {
+    if (card.sport) {
+      query = query.where('sport', card.sport);
+    }
+    if (card.set) {
+      query = query.whereRaw('LOWER(set_name) = ?', [card.set.toLowerCase()]);
+    }
+    if (card.insertSet) {
+      query = query.whereRaw('LOWER(insert_set) = ?', [card.insertSet.toLowerCase()]);
+    } else {
+      query = query.where(function() {
+        this.whereNull('insert_set').orWhere('insert_set', '');
+      });
+    }
+  }
+
+  return query.orderBy('id');
+}
 
 export class LocalPricingService {
   constructor() {
@@ -16,8 +115,9 @@ export class LocalPricingService {
   /**
    * Get market value for a card using local price data
    */
-  async getMarketValue({ year, set, grade, cardNumber, parallel, sport }) {
-    const cacheKey = `${year}:${set}:${cardNumber}:${parallel || 'base'}:${sport}`.toLowerCase();
+  async getMarketValue({ year, set, grade, cardNumber, parallel, insertSet, printRun, isRookie, isAuto, isRelic, sport }) {
+    const attributes = `${isRookie ? 'rc' : ''}${isAuto ? 'auto' : ''}${isRelic ? 'relic' : ''}`;
+    const cacheKey = `${year}:${set}:${insertSet || ''}:${cardNumber}:${parallel || 'base'}:${printRun || ''}:${attributes}:${grade || 'raw'}:${sport}`.toLowerCase();
 
     // Check cache
     const cached = this.cache.get(cacheKey);
@@ -26,66 +126,26 @@ export class LocalPricingService {
     }
 
     try {
-      // Build query
-      let query = db('price_data')
-        .where('year', String(year))
-        .where('card_number', String(cardNumber));
-
-      if (sport) {
-        query = query.where('sport', sport);
-      }
-
-      // Set matching - flexible
-      if (set) {
-        query = query.whereRaw('LOWER(set_name) = ?', [set.toLowerCase()]);
-      }
-
-      // Parallel matching - flexible
-      const parallelNorm = (parallel || '').toLowerCase().trim();
-      if (parallelNorm) {
-        query = query.where(function() {
-          // Exact match
-          this.whereRaw('LOWER(parallel) = ?', [parallelNorm])
-            // Or one starts with the other (e.g., "silver" matches "silver prizm")
-            .orWhereRaw('LOWER(parallel) LIKE ?', [parallelNorm + '%'])
-            .orWhereRaw('? LIKE LOWER(parallel) || \'%\'', [parallelNorm]);
-        });
-      } else {
-        // Base card - no parallel
-        query = query.where(function() {
-          this.whereNull('parallel').orWhere('parallel', '');
-        });
-      }
+      const card = { set, parallel, insertSet, printRun, isRookie, isAuto, isRelic, sport };
+      const rows = await loadCandidates(year, cardNumber, card);
+      const [match] = preferRows(rows.filter(row => rejectReasons(row, card).length === 0), card);
 
-      const results = await query.limit(5);
-
-      if (!results || results.length === 0) {
+      if (!match) {
         return { error: 'no local price data' };
       }
 
-      // Use first match
-      const match = results[0];
-
-      // Get price based on grade
+      // Get price for the grade - direct column first, then documented equivalences
       let price = null;
-      let priceType = 'raw';
-      const gradeUpper = (grade || '').toUpperCase();
-
-      if (gradeUpper.includes('PSA 10') || gradeUpper.includes('BGS 10') || gradeUpper.includes('GEM')) {
-        price = match.psa10_price || match.bgs10_price;
-        priceType = 'psa10';
-      } else if (gradeUpper.includes('PSA 9') || gradeUpper.includes('BGS 9')) {
-        price = match.psa9_price;
-        priceType = 'psa9';
-      } else if (gradeUpper.includes('PSA 8') || gradeUpper.includes('BGS 8')) {
-        price = match.psa8_price;
-        priceType = 'psa8';
-      } else {
-        price = match.raw_price;
-        priceType = 'raw';
+      let priceColumn = null;
+      for (const candidate of getPriceColumns(parseGrade(grade))) {
+        if (match[candidate.column] > 0) {
+          price = match[candidate.column];
+          priceColumn = candidate;
+          break;
+        }
       }
 
-      if (!price || price <= 0) {
+      if (!price) {
         return { error: 'no price for grade' };
       }
 
@@ -96,10 +156,12 @@ export class LocalPricingService {
         marketValue,
         source: 'local',
         sourceUrl: `https://www.sportscardspro.com/console/${encodeURIComponent(match.console_name)}`,
-        matchedTo: `${match.year} ${match.set_name} #${match.card_number} ${match.parallel || 'base'}`,
-        priceType,
-        confidence: 'high',
-        lastUpdated: match.uploaded_at
+        matchedTo: describeRow(match),
+        priceDataId: match.id,
+        priceType: priceColumn.column.replace('_price', ''),
+        gradeEquivalence: priceColumn.equivalence,
+        confidence: priceColumn.equivalence ? 'medium' : 'high',
+        lastUpdated: match.confirmed_at || match.uploaded_at
       };
 
       // Cache the result
@@ -111,6 +173,43 @@ export class LocalPricingService {
     }
   }
 
+  /**
+   * Every price_data row with the card's year and number, and why getMarketValue
+   * would or wouldn't match it - for debugging mismatches (POST /api/parse)
+   * @returns {Array} [{ id, scpId, matchedTo, accepted, used, rejectReasons, price, priceType }]
+   *   used marks the accepted row getMarketValue would price from.
+   */
+  async explainMatch({ year, set, grade, cardNumber, parallel, insertSet, printRun, isRookie, isAuto, isRelic, sport }) {
+    if (!year || !cardNumber) return [];
+
+    const card = { set, parallel, insertSet, printRun, isRookie, isAuto, isRelic, sport };
+    const rows = await loadCandidates(year, cardNumber);
+    const columns = getPriceColumns(parseGrade(grade));
+
+    const candidates = rows.map(row => {
+      const reasons = rejectReasons(row, card);
+      const priceColumn = columns.find(c => row[c.column] > 0) || null;
+      return {
+        id: row.id,
+        scpId: row.scp_id,
+        productName: row.product_name,
+        consoleName: row.console_name,
+        matchedTo: describeRow(row),
+        printRun: row.print_run,
+        accepted: reasons.length === 0,
+        used: false,
+        rejectReasons: reasons,
+        price: priceColumn ? row[priceColumn.column] / 100 : null,
+        priceType: priceColumn ? priceColumn.column.replace('_price', '') : null
+      };
+    });
+
+    // The row getMarketValue prices from
+    const [chosen] = preferRows(rows.filter((row, i) => candidates[i].accepted), card);
+    if (chosen) candidates.find(c => c.id === chosen.id).used = true;
+    return candidates;
+  }
+
   /**
    * Check if we have local price data loaded
    */
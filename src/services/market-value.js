@@ -0,0 +1,227 @@
+/**
+ * Composite Market Value Service
+ *
+ * Asks every configured price source for a card and blends the answers
+ * into one value, weighted by how fresh each source is and how many sales
+ * sit behind it. Returns a 0-100 confidence and a per-source breakdown.
+ */
+
+import { DEFAULT_STALENESS, getMaxAgeDays } from './staleness.js';
+import { countPsaCallsToday, recordPsaCall } from './cert-verification.js';
+
+// Base weight per source - sold comps are real sales, the price guides are estimates
+const SOURCE_WEIGHTS = {
+  sportscardpro: 1.0,
+  local: 1.0,
+  '130point': 1.2,
+  psa: 0.8
+};
+
+// SportsCardPro price guide values, as an imported CSV or from the API
+const GUIDE_SOURCES = ['local', 'sportscardpro'];
+
+const FULL_SAMPLE_SIZE = 10;          // Sold comps with this many sales count fully
+const EQUIVALENCE_PENALTY = 0.7;      // Valued from a different grade's column (e.g. BGS 10 as PSA 10)
+
+export class MarketValueService {
+  /**
+   * @param {Object} sources
+   * @param {LocalPricingService} sources.localPricing - Imported SportsCardPro CSVs
+   * @param {PriceService} sources.pricing - SportsCardPro API and 130point sold comps
+   * @param {PSAClient} sources.psa - PSA price guide (opt in with PSA_PRICE_GUIDE=true)
+   */
+  constructor({ localPricing, pricing, psa }) {
+    this.localPricing = localPricing;
+    this.pricing = pricing;
+    this.psa = psa;
+    this.psaPriceGuide = process.env.PSA_PRICE_GUIDE === 'true';
+  }
+
+  /**
+   * Blended market value for a card
+   * @param {Object} card - { player, year, set, grade, cardNumber, parallel, insertSet, printRun, isRookie, isAuto, isRelic, imageUrl, sport }
+   * @param {Object} options
+   * @param {boolean} options.useLocal - Local price_data is loaded
+   * @param {Object} options.staleness - Per-source age limits (see staleness.js); values only lose weight past them
+   * @returns {Object} { marketValue, confidence, source, sourceUrl, sources, scpValue, comps, lastUpdated }
+   *   or { marketValue: null, confidence: 0, error } when no source has a value
+   */
+  async getMarketValue(card, { useLocal = true, staleness = DEFAULT_STALENESS } = {}) {
+    const maxAge = (source) => getMaxAgeDays(source, card.sport, staleness);
+
+    // Local data is a snapshot of SportsCardPro - when it matched, skip the rate-limited API
+    const local = useLocal ? await this.fromLocal(card, maxAge('local')).catch(() => null) : null;
+    const lookups = [
+      local?.value > 0 ? null : this.fromSportsCardPro(card, maxAge('sportscardpro')),
+      this.psaPriceGuide && card.grade?.startsWith('PSA') ? this.fromPSA(card) : null
+    ].filter(Boolean);
+
+    const results = await Promise.allSettled(lookups);
+    const sources = [local, ...results.filter(r => r.status === 'fulfilled').map(r => r.value)]
+      .filter(Boolean);
+
+    // 130point is a headless-browser scrape - only as the fallback here, candidate
+    // deals get it afterwards through addSoldComps
+    if (!sources.some(s => GUIDE_SOURCES.includes(s.source) && s.value > 0)) {
+      const comps = await this.fromSoldComps(card).catch(() => null);
+      if (comps) sources.push(comps);
+    }
+
+    return this.blend(sources);
+  }
+
+  /**
+   * Blend 130point sold comps into a value from getMarketValue
+   * @param {Object} card - As for getMarketValue
+   * @param {Array} sources - The value's sources breakdown
+   * @returns {Object|null} The re-blended value, or null when comps were already in or found nothing
+   */
+  async addSoldComps(card, sources = []) {
+    if (sources.some(s => s.source === '130point')) return null;
+    const comps = await this.fromSoldComps(card).catch(() => null);
+    if (!(comps?.value > 0)) return null;
+    return this.blend([...sources, comps]);
+  }
+
+  /**
+   * One weighted value from the priced sources
+   */
+  blend(sources) {
+    const priced = sources.filter(s => s.value > 0);
+    if (priced.length === 0) {
+      const errors = sources.map(s => s.error).filter(Boolean);
+      return { marketValue: null, confidence: 0, sources, error: errors[0] || 'no data' };
+    }
+
+    // Every priced source counts - local and the SCP API are never both asked
+    const used = priced;
+    for (const s of used) {
+      s.used = true;
+    }
+
+    const totalWeight = used.reduce((sum, s) => sum + s.weight, 0);
+    const marketValue = used.reduce((sum, s) => sum + s.value * s.weight, 0) / totalWeight;
+
+    // Primary source = the one that counted most
+    const primary = used.reduce((best, s) => (s.weight > best.weight ? s : best));
+    const guide = used.find(s => GUIDE_SOURCES.includes(s.source));
+
+    return {
+      marketValue: Math.round(marketValue * 100) / 100,
+      confidence: this.getConfidence(used, marketValue, totalWeight),
+      source: used.length > 1 ? 'composite' : primary.source,
+      sourceUrl: primary.url,
+      sources: sources.map(({ comps, ...rest }) => rest),
+      scpValue: guide ? guide.value : null,   // For the sold comps cross-check
+      comps: priced.find(s => s.source === '130point')?.comps || null,
+      lastUpdated: primary.lastUpdated
+    };
+  }
+
+  /**
+   * Confidence 0-100
+   * More (and heavier) sources raise it; sources that disagree pull it down.
+   */
+  getConfidence(used, marketValue, totalWeight) {
+    const coverage = 1 - Math.exp(-totalWeight);
+
+    // Weighted coefficient of variation - 0 when every source agrees
+    const variance = used.reduce((sum, s) => sum + s.weight * (s.value - marketValue) ** 2, 0) / totalWeight;
+    const spread = Math.sqrt(variance) / marketValue;
+    const agreement = Math.max(0, 1 - spread);
+
+    return Math.round(100 * coverage * (0.5 + 0.5 * agreement));
+  }
+
+  /**
+   * Weight for one source's answer
+   * A value counts fully until it reaches its staleness limit, then halves
+   * every further maxAgeDays - age alone shouldn't sink a value that
+   * staleness.js still calls fresh.
+   */
+  weigh(source, { lastUpdated, maxAgeDays = null, sampleSize = null, equivalence = null }) {
+    let weight = SOURCE_WEIGHTS[source] ?? 1;
+
+    if (lastUpdated && maxAgeDays) {
+      const ageDays = Math.max(0, (Date.now() - new Date(lastUpdated).getTime()) / (24 * 60 * 60 * 1000));
+      const overDays = Math.max(0, ageDays - maxAgeDays);
+      weight *= Math.max(0.1, Math.pow(0.5, overDays / maxAgeDays));
+    }
+    if (sampleSize != null) {
+      weight *= Math.max(0.3, Math.min(1, sampleSize / FULL_SAMPLE_SIZE));
+    }
+    if (equivalence) {
+      weight *= EQUIVALENCE_PENALTY;
+    }
+
+    return Math.round(weight * 1000) / 1000;
+  }
+
+  // ============================================
+  // SOURCES - each returns { source, value, weight, ... } or { source, error }
+  // ============================================
+
+  async fromLocal(card, maxAgeDays) {
+    const result = await this.localPricing.getMarketValue(card);
+    if (!result?.marketValue) return { source: 'local', error: result?.error || 'no match' };
+
+    return {
+      source: 'local',
+      value: result.marketValue,
+      weight: this.weigh('local', { lastUpdated: result.lastUpdated, maxAgeDays, equivalence: result.gradeEquivalence }),
+      url: result.sourceUrl,
+      matchedTo: result.matchedTo,
+      priceDataId: result.priceDataId,  // Lets a re-uploaded CSV lift a stale quarantine (see staleness.js)
+      equivalence: result.gradeEquivalence || null,
+      lastUpdated: result.lastUpdated
+    };
+  }
+
+  async fromSportsCardPro(card, maxAgeDays) {
+    const result = await this.pricing.getSportsCardProValue(card);
+    if (!result?.marketValue) return { source: 'sportscardpro', error: result?.error || 'no match' };
+
+    return {
+      source: 'sportscardpro',
+      value: result.marketValue,
+      weight: this.weigh('sportscardpro', { lastUpdated: result.lastUpdated, maxAgeDays, equivalence: result.gradeEquivalence }),
+      url: result.sourceUrl,
+      matchedTo: result.matchedTo,
+      equivalence: result.gradeEquivalence || null,
+      lastUpdated: result.lastUpdated
+    };
+  }
+
+  async fromSoldComps(card) {
+    const comps = await this.pricing.getSoldComps(card);
+    if (!comps) return { source: '130point', error: 'no sold comps' };
+
+    return {
+      source: '130point',
+      value: comps.median,
+      weight: this.weigh('130point', { sampleSize: comps.sampleSize }),
+      url: comps.searchUrl,
+      sampleSize: comps.sampleSize,
+      comps,
+      lastUpdated: new Date()
+    };
+  }
+
+  async fromPSA(card) {
+    // Shares PSA_DAILY_LIMIT with cert and population lookups
+    if (await countPsaCallsToday() >= (parseInt(process.env.PSA_DAILY_LIMIT) || 100)) {
+      return { source: 'psa', error: 'PSA daily limit reached' };
+    }
+    await recordPsaCall('price_guide');
+    const result = await this.psa.getMarketValue(card);
+    if (!result?.marketValue) return { source: 'psa', error: 'no price guide' };
+
+    return {
+      source: 'psa',
+      value: result.marketValue,
+      weight: this.weigh('psa', {}),
+      url: null,
+      lastUpdated: new Date()
+    };
+  }
+}
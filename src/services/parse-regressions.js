@@ -0,0 +1,139 @@
+/**
+ * Parse Regression Corpus
+ *
+ * Listing titles saved with the parse they should get, usually from a
+ * reported mismatch. Running the corpus parses every title the way the
+ * scanner does (title plus eBay item specifics) and compares the fields
+ * each case expects, so a change to card-parser.js or panini-sets.json
+ * that breaks an old fix shows up before it reaches deals.
+ */
+
+import { db } from '../db/index.js';
+
+// Fields a case can pin down
+export const PARSE_FIELDS = [
+  'year', 'setName', 'cardNumber', 'parallel', 'insertSet', 'playerName',
+  'grade', 'sport', 'isRookie', 'isAuto', 'isRelic', 'isRpa', 'certNumber', 'serialNumber', 'printRun'
+];
+
+function regressionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Case-insensitive, with null, undefined and '' all meaning "none"
+function normalizeValue(value) {
+  if (value == null || value === '') return null;
+  if (typeof value === 'boolean') return value;
+  return String(value).toLowerCase().trim();
+}
+
+/**
+ * Fields where a parse differs from what a case expects
+ * @returns {Array} [{ field, expected, actual }]
+ */
+export function compareParse(expected, actual) {
+  const mismatches = [];
+  for (const field of PARSE_FIELDS) {
+    if (!(field in expected)) continue;
+    if (normalizeValue(expected[field]) !== normalizeValue(actual[field])) {
+      mismatches.push({ field, expected: expected[field], actual: actual[field] ?? null });
+    }
+  }
+  return mismatches;
+}
+
+function pickParse(listing) {
+  return Object.fromEntries(PARSE_FIELDS.map(field => [field, listing[field] ?? null]));
+}
+
+export class ParseRegressionService {
+  /**
+   * @param {EbayClient} ebay - Parses titles the way the scanner does
+   */
+  constructor(ebay) {
+    this.ebay = ebay;
+  }
+
+  /**
+   * Save a case
+   * @param {Object} input - { title, aspects, expected, reportId, notes }
+   *   With reportId and no title, the title comes from the reported listing.
+   */
+  async add({ title, aspects = null, expected, reportId = null, notes = null }) {
+    const expectedFields = Object.fromEntries(
+      Object.entries(expected || {}).filter(([field]) => PARSE_FIELDS.includes(field))
+    );
+    if (Object.keys(expectedFields).length === 0) {
+      throw regressionError(`expected must set at least one of: ${PARSE_FIELDS.join(', ')}`, 400);
+    }
+
+    let listingId = null;
+    if (reportId) {
+      const report = await db('reported_issues').where('id', reportId).first();
+      if (!report) throw regressionError('Report not found', 404);
+      listingId = report.listing_id;
+      if (!title && listingId) {
+        const listing = await db('listings').where('id', listingId).select('title').first();
+        title = listing?.title;
+      }
+    }
+    if (!title) throw regressionError('title is required', 400);
+
+    const [saved] = await db('parse_regressions')
+      .insert({
+        title,
+        aspects: aspects ? JSON.stringify(aspects) : null,
+        expected: JSON.stringify(expectedFields),
+        report_id: reportId,
+        listing_id: listingId,
+        notes
+      })
+      .returning('*');
+    return this.runCase(saved);
+  }
+
+  async list() {
+    return db('parse_regressions').orderBy('id', 'asc');
+  }
+
+  async remove(id) {
+    const deleted = await db('parse_regressions').where('id', id).del();
+    if (!deleted) throw regressionError('Regression case not found', 404);
+    return { deleted };
+  }
+
+  /**
+   * Parse one case and save the outcome
+   */
+  async runCase(regression) {
+    const listing = this.ebay.parseListing(regression.title, regression.aspects || []);
+    const actual = pickParse(listing);
+    const mismatches = compareParse(regression.expected, actual);
+    const passed = mismatches.length === 0;
+
+    await db('parse_regressions')
+      .where('id', regression.id)
+      .update({
+        last_passed: passed,
+        last_result: JSON.stringify({ actual, mismatches }),
+        last_run_at: new Date()
+      });
+
+    return { id: regression.id, title: regression.title, passed, expected: regression.expected, actual, mismatches };
+  }
+
+  /**
+   * Re-run the whole corpus
+   * @returns {Object} { total, passed, failed, cases }
+   */
+  async runAll() {
+    const cases = [];
+    for (const regression of await this.list()) {
+      cases.push(await this.runCase(regression));
+    }
+    const passed = cases.filter(c => c.passed).length;
+    return { total: cases.length, passed, failed: cases.length - passed, cases };
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * PSA Population Service
+ *
+ * Fetches PSA population reports per card spec and caches them in
+ * card_populations. For modern cards the number of PSA 10s is what sets the
+ * price, so each report also yields a gem rate (share of PSA 10s) and a
+ * 0-100 scarcity score. Cards learn their PSA spec from verified certs.
+ */
+
+import { db } from '../db/index.js';
+import { countPsaCallsToday, recordPsaCall } from './cert-verification.js';
+
+const POP_TTL_DAYS = parseInt(process.env.PSA_POP_TTL_DAYS) || 7;  // Pops grow slowly - refresh weekly
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Scarcity 0-100 from the PSA 10 population - 20 points per order of magnitude:
+ * no 10s = 100, ~10 = 80, ~100 = 60, ~1,000 = 40, ~10,000 = 20
+ */
+export function scarcityScore(psa10) {
+  if (psa10 == null) return null;
+  return Math.max(0, Math.min(100, Math.round(100 - 20 * Math.log10(psa10 + 1))));
+}
+
+/**
+ * Pull grade counts out of a PSA population response
+ * Handles { PSAPop: { Total, Grade10, Grade9, ... } } and the same keys at the top level.
+ * @returns {Object|null} { description, total, grades: { '10': n, '9': n, '8.5': n, ... } }
+ */
+export function parsePopulation(response) {
+  const pop = response?.PSAPop || response?.Population || response;
+  if (!pop || typeof pop !== 'object') return null;
+
+  const grades = {};
+  for (const [key, value] of Object.entries(pop)) {
+    // Grade10, Grade9, Grade8_5 / Grade8Q, ...
+    const match = key.match(/^Grade(\d{1,2})(?:_?(5))?$/i);
+    if (match && Number.isFinite(Number(value))) {
+      const grade = match[2] ? `${match[1]}.5` : match[1];
+      grades[grade] = Number(value);
+    }
+  }
+  if (Object.keys(grades).length === 0) return null;
+
+  const total = Number(pop.Total ?? pop.TotalPopulation) ||
+    Object.values(grades).reduce((sum, n) => sum + n, 0);
+
+  return { description: response.Description || pop.Description || null, total, grades };
+}
+
+export class PopulationService {
+  /**
+   * @param {PSAClient} psa
+   */
+  constructor(psa) {
+    this.psa = psa;
+    this.dailyLimit = parseInt(process.env.PSA_DAILY_LIMIT) || 100;
+  }
+
+  isEnabled() {
+    return !!(process.env.PSA_ACCESS_TOKEN || (process.env.PSA_USERNAME && process.env.PSA_PASSWORD));
+  }
+
+  /**
+   * Population for a canonical card
+   * @param {number} cardId
+   * @param {number} specId - PSA spec from a verified cert; stored on the card for later lookups
+   * @returns {Object|null} card_populations row
+   */
+  async getForCard(cardId, specId = null) {
+    if (!cardId) return null;
+
+    if (specId) {
+      await db('cards').where('id', cardId).whereNull('psa_spec_id').update({ psa_spec_id: specId });
+    } else {
+      const card = await db('cards').where('id', cardId).select('psa_spec_id').first();
+      specId = card?.psa_spec_id;
+    }
+    if (!specId) return null;
+
+    return this.getPopulation(specId, cardId);
+  }
+
+  /**
+   * Population for a PSA spec - from the cache, or the PSA API once the cache is a week old
+   * Returns the cached row (even if old) when the API can't be used right now.
+   */
+  async getPopulation(specId, cardId = null) {
+    const cached = await db('card_populations').where('spec_id', specId).first();
+    const fresh = cached && Date.now() - new Date(cached.fetched_at).getTime() < POP_TTL_DAYS * DAY_MS;
+    if (fresh || !this.isEnabled()) return cached || null;
+
+    if (await countPsaCallsToday() >= this.dailyLimit) return cached || null;
+
+    let response = null;
+    try {
+      await recordPsaCall('population');
+      response = await this.psa.getPopulationReport({ specId });
+    } catch (e) {
+      console.log(`  Pop report error ${specId}: ${e.message}`);
+    }
+    const pop = parsePopulation(response);
+    if (!pop) return cached || null;
+
+    const psa10 = pop.grades['10'] ?? 0;
+    const [saved] = await db('card_populations')
+      .insert({
+        spec_id: specId,
+        card_id: cardId ?? cached?.card_id ?? null,
+        description: pop.description,
+        total: pop.total,
+        psa10,
+        psa9: pop.grades['9'] ?? 0,
+        grades: JSON.stringify(pop.grades),
+        gem_rate: pop.total > 0 ? Math.round(psa10 / pop.total * 1000) / 10 : null,
+        scarcity_score: scarcityScore(psa10),
+        fetched_at: new Date()
+      })
+      .onConflict('spec_id')
+      .merge()
+      .returning('*');
+    return saved;
+  }
+}
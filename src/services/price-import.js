@@ -0,0 +1,658 @@
+/**
+ * SportsCardPro CSV Import Service
+ *
+ * Imports are versioned: each upload is a price_imports batch, rows are
+ * upserted by scp_id, and every insert/update is written to
+ * price_data_versions with the row as it was before. That gives a per-batch
+ * diff and lets the latest batch for a sport be rolled back.
+ *
+ * Uploads are streamed from disk in the background; progress is saved per
+ * chunk so imports can be cancelled and resume after a restart.
+ */
+
+import fs from 'fs';
+import { parse } from 'csv-parse';
+import { db } from '../db/index.js';
+import { PRICE_COLUMNS } from './grading.js';
+import { buildCardKey } from './card-catalog.js';
+import { parseSCPProduct } from './card-parser.js';
+
+const BATCH_SIZE = 500;
+const SKIP_SAMPLES = 5;        // Sample rows kept per skip reason
+const GUESS_SAMPLES = 50;      // Sample rows with a parallel guessed from the console name
+
+// SCP CSV column → price_data column (prices are in cents)
+const CSV_PRICE_COLUMNS = Object.values(PRICE_COLUMNS).map(({ column, scpKey }) => ({ column, scpKey }));
+
+// Fields compared to decide whether an existing row changed
+const TRACKED_FIELDS = [
+  'console_name', 'product_name', 'sport', 'year', 'set_name', 'card_number', 'parallel', 'insert_set', 'print_run', 'player_name',
+  'is_rookie', 'is_auto', 'is_relic', 'is_rpa',
+  ...CSV_PRICE_COLUMNS.map(c => c.column)
+];
+
+// Everything restored on rollback
+const VERSIONED_FIELDS = [...TRACKED_FIELDS, 'card_id', 'import_id', 'source_file', 'uploaded_at', 'confirmed_at'];
+
+/**
+ * Map one CSV record to a price_data row
+ * Returns { row, parsed } or { skip: reason } for rows that can't be imported
+ */
+export function toPriceRow(record, sport) {
+  const consoleName = record['console-name'] || '';
+  const productName = record['product-name'] || '';
+
+  // Skip non-card items
+  if (!consoleName || !productName) return { skip: 'missing_name' };
+  if (consoleName.toLowerCase().includes('funko')) return { skip: 'funko' };
+  if (consoleName.toLowerCase().includes('box')) return { skip: 'box_product' };
+
+  // Rows are upserted by SCP product ID
+  if (!record['id']) return { skip: 'missing_scp_id' };
+
+  const parsed = parseSCPProduct(consoleName, productName, { sport });
+
+  // Skip if we can't parse essential info
+  if (!parsed.cardNumber) return { skip: 'no_card_number' };
+  if (!parsed.year) return { skip: 'no_year' };
+
+  const row = {
+    scp_id: String(record['id']),
+    console_name: consoleName,
+    product_name: productName,
+    sport: sport,
+    year: String(parsed.year),
+    set_name: parsed.setName ? parsed.setName.toLowerCase() : null,
+    card_number: parsed.cardNumber,
+    parallel: parsed.parallel,
+    insert_set: parsed.insertSet,
+    print_run: parsed.printRun,
+    player_name: parsed.playerName,
+    is_rookie: parsed.isRookie,
+    is_auto: parsed.isAuto,
+    is_relic: parsed.isRelic,
+    is_rpa: parsed.isRpa
+  };
+  for (const { column, scpKey } of CSV_PRICE_COLUMNS) {
+    row[column] = parseInt(record[scpKey]) || null;
+  }
+  return { row, parsed };
+}
+
+/**
+ * Import report - why rows were skipped and what the parser made of the rest
+ */
+export class ImportReport {
+  constructor() {
+    this.skipReasons = {};
+    this.skippedSamples = {};
+    this.distributions = { set: {}, parallel: {}, year: {} };
+    this.guessedParallels = { count: 0, samples: [] };
+  }
+
+  addSkip(reason, record) {
+    this.skipReasons[reason] = (this.skipReasons[reason] || 0) + 1;
+    const samples = this.skippedSamples[reason] || (this.skippedSamples[reason] = []);
+    if (samples.length < SKIP_SAMPLES) {
+      samples.push({ scpId: record['id'] || null, consoleName: record['console-name'] || '', productName: record['product-name'] || '' });
+    }
+  }
+
+  addParsed(row, parsed) {
+    const bump = (dist, key) => { dist[key] = (dist[key] || 0) + 1; };
+    bump(this.distributions.set, row.set_name || '(none)');
+    bump(this.distributions.parallel, row.parallel || 'base');
+    bump(this.distributions.year, row.year || '(none)');
+
+    if (parsed.rules.parallel === 'console_guess') {
+      this.guessedParallels.count++;
+      if (this.guessedParallels.samples.length < GUESS_SAMPLES) {
+        this.guessedParallels.samples.push({
+          scpId: row.scp_id,
+          consoleName: row.console_name,
+          productName: row.product_name,
+          parallel: row.parallel
+        });
+      }
+    }
+  }
+
+  /**
+   * Rebuild a report saved by an interrupted run
+   */
+  static fromJSON(json) {
+    const report = new ImportReport();
+    if (json) {
+      report.skipReasons = json.skipReasons || {};
+      report.skippedSamples = json.skippedSamples || {};
+      report.distributions = { ...report.distributions, ...json.distributions };
+      report.guessedParallels = json.guessedParallels || report.guessedParallels;
+    }
+    return report;
+  }
+
+  toJSON() {
+    // Most common values first
+    const sorted = (dist) => Object.fromEntries(Object.entries(dist).sort((a, b) => b[1] - a[1]));
+    return {
+      skipReasons: this.skipReasons,
+      skippedSamples: this.skippedSamples,
+      distributions: {
+        set: sorted(this.distributions.set),
+        parallel: sorted(this.distributions.parallel),
+        year: sorted(this.distributions.year)
+      },
+      guessedParallels: this.guessedParallels
+    };
+  }
+}
+
+function pick(row, fields) {
+  const result = {};
+  for (const field of fields) {
+    result[field] = row[field] ?? null;
+  }
+  return result;
+}
+
+// Fields that differ between the stored row and the incoming one
+function changedFields(existing, row) {
+  return TRACKED_FIELDS.filter(field => String(existing[field] ?? '') !== String(row[field] ?? ''));
+}
+
+function importError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export class PriceImportService {
+  /**
+   * @param {CardCatalog} catalog - Links rows to cards and records price history
+   * @param {Object} options
+   * @param {Function} options.onProgress - Called with a progress payload after every chunk
+   */
+  constructor(catalog, { onProgress = () => {} } = {}) {
+    this.catalog = catalog;
+    this.onProgress = onProgress;
+    this.running = new Map();  // import id → job promise
+  }
+
+  /**
+   * Queue an uploaded CSV file as a new batch and start importing it in the background
+   * Progress is saved after every chunk, so an interrupted import resumes where it stopped.
+   * Imports for a sport run one at a time - a second upload stays queued until the
+   * running one finishes. Dry runs write nothing and start straight away.
+   * @param {string} filePath - Upload on disk (deleted when the import finishes)
+   * @param {Object} options
+   * @param {string} options.sport
+   * @param {string} options.sourceFile - Uploaded file name
+   * @param {boolean} options.dryRun - Parse and compare only; the batch is stored with its report but nothing is written
+   * @returns {Object} The price_imports row
+   */
+  async importFile(filePath, { sport, sourceFile, dryRun = false }) {
+    const { size } = await fs.promises.stat(filePath);
+    const [batch] = await db('price_imports')
+      .insert({
+        sport,
+        source_file: sourceFile,
+        status: 'queued',
+        dry_run: dryRun,
+        file_path: filePath,
+        bytes_total: size
+      })
+      .returning('*');
+
+    if (dryRun) {
+      this.start(batch);
+    } else {
+      await this.startNext(sport);
+    }
+    return batch;
+  }
+
+  /**
+   * Start the sport's oldest queued or interrupted import unless one is already
+   * running - two imports upserting the same scp_ids would interleave their
+   * versions, and rolling back the latest would no longer restore a consistent state
+   * @returns {Object|null} The batch started
+   */
+  async startNext(sport) {
+    const pending = await db('price_imports')
+      .where({ sport, dry_run: false })
+      .whereIn('status', ['queued', 'processing'])
+      .orderBy('id');
+    if (pending.length === 0 || pending.some(batch => this.running.has(batch.id))) return null;
+
+    this.start(pending[0]);
+    return pending[0];
+  }
+
+  /**
+   * Restart imports that were queued or running when the server stopped
+   */
+  async resumeInterrupted() {
+    const batches = await db('price_imports').whereIn('status', ['queued', 'processing']).orderBy('id');
+    for (const batch of batches) {
+      if (this.running.has(batch.id)) continue;
+      if (batch.dry_run) {
+        this.start(batch);
+      } else if (!await this.startNext(batch.sport)) {
+        continue;  // Waits for the sport's running import
+      }
+      console.log(`Resuming import #${batch.id} (${batch.source_file}) from row ${batch.rows_processed}`);
+    }
+    return batches.length;
+  }
+
+  /**
+   * Ask a queued or running import to stop
+   * Rows applied before the cancel stay - the batch can still be rolled back.
+   */
+  async cancel(importId) {
+    const batch = await this.getImport(importId);
+    if (!batch) throw importError('Import not found', 404);
+    if (!['queued', 'processing'].includes(batch.status)) {
+      throw importError(`Import is ${batch.status}`, 400);
+    }
+
+    await db('price_imports').where('id', importId).update({ cancel_requested: true });
+
+    // Not running in this process (e.g. interrupted) - nothing will pick the flag up
+    if (!this.running.has(batch.id)) {
+      await this.finish(batch, 'cancelled');
+    }
+    return this.getStatus(importId);
+  }
+
+  start(batch) {
+    if (this.running.has(batch.id)) return;
+    const job = this.run(batch)
+      .catch(error => console.error(`Import #${batch.id} failed:`, error.message))
+      .finally(() => {
+        this.running.delete(batch.id);
+        // Next upload for the sport that was waiting on this one
+        if (!batch.dry_run) {
+          this.startNext(batch.sport).catch(error => console.error(`Import queue (${batch.sport}):`, error.message));
+        }
+      });
+    this.running.set(batch.id, job);
+  }
+
+  /**
+   * Stream the batch's file through the parser in chunks, skipping rows
+   * already processed by an earlier run
+   */
+  async run(batch) {
+    const resumeFrom = batch.rows_processed || 0;
+    const counts = {
+      inserted: batch.rows_inserted || 0,
+      updated: batch.rows_updated || 0,
+      unchanged: batch.rows_unchanged || 0,
+      skipped: batch.rows_skipped || 0,
+      valuesRecorded: batch.values_recorded || 0
+    };
+    const report = ImportReport.fromJSON(batch.report);
+    let processed = 0;
+    let chunk = [];
+
+    const input = fs.createReadStream(batch.file_path);
+    const parser = input.pipe(parse({
+      columns: true,
+      skip_empty_lines: true,
+      relax_column_count: true
+    }));
+
+    await db('price_imports').where('id', batch.id).update({ status: 'processing', error: null });
+
+    const flush = async () => {
+      await this.importChunk(batch, chunk, counts, report, { dryRun: batch.dry_run });
+      chunk = [];
+
+      // A crash after the chunk but before this update replays it - the rows then compare as unchanged
+      const [saved] = await db('price_imports')
+        .where('id', batch.id)
+        .update({
+          rows_processed: processed,
+          bytes_processed: input.bytesRead,
+          rows_inserted: counts.inserted,
+          rows_updated: counts.updated,
+          rows_unchanged: counts.unchanged,
+          rows_skipped: counts.skipped,
+          values_recorded: counts.valuesRecorded,
+          report: JSON.stringify(report)
+        })
+        .returning(['cancel_requested']);
+
+      this.onProgress(this.toProgress({ ...batch, status: 'processing' }, counts, processed, input.bytesRead));
+      return saved.cancel_requested;
+    };
+
+    try {
+      for await (const record of parser) {
+        processed++;
+        if (processed <= resumeFrom) continue;
+
+        chunk.push(record);
+        if (chunk.length >= BATCH_SIZE && await flush()) {
+          input.destroy();
+          return this.finish(batch, 'cancelled', counts, processed);
+        }
+      }
+      if (chunk.length > 0 && await flush()) {
+        return this.finish(batch, 'cancelled', counts, processed);
+      }
+
+      await this.finish(batch, batch.dry_run ? 'dry_run' : 'completed', counts, processed);
+      console.log(`${batch.dry_run ? 'Dry run' : 'Import'} #${batch.id} ${batch.sport}: ${counts.inserted} new, ` +
+        `${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.skipped} skipped ` +
+        `(${counts.valuesRecorded} market values, ${report.guessedParallels.count} guessed parallels)`);
+    } catch (error) {
+      input.destroy();
+      await this.finish(batch, 'failed', counts, processed, error.message.substring(0, 500));
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a batch finished and remove its upload
+   */
+  async finish(batch, status, counts = null, processed = null, error = null) {
+    const update = { status, completed_at: new Date(), error };
+    if (processed != null) {
+      update.rows_total = processed;
+    }
+    await db('price_imports').where('id', batch.id).update(update);
+    await fs.promises.rm(batch.file_path, { force: true }).catch(() => {});
+
+    const saved = await this.getImport(batch.id);
+    this.onProgress(this.toProgress(saved, counts, saved.rows_processed, saved.bytes_processed));
+    if (status === 'cancelled') console.log(`Import #${batch.id} cancelled after ${saved.rows_processed} rows`);
+  }
+
+  /**
+   * Progress payload for the status endpoint and the import:progress socket event
+   */
+  toProgress(batch, counts = null, rowsProcessed = batch.rows_processed, bytesProcessed = batch.bytes_processed) {
+    const bytesTotal = Number(batch.bytes_total) || 0;
+    const done = !['queued', 'processing'].includes(batch.status);
+    return {
+      importId: batch.id,
+      sport: batch.sport,
+      file: batch.source_file,
+      status: batch.status,
+      dryRun: !!batch.dry_run,
+      rowsProcessed: rowsProcessed || 0,
+      percent: done ? 100 : bytesTotal > 0 ? Math.min(99, Math.round(100 * Number(bytesProcessed || 0) / bytesTotal)) : 0,
+      inserted: counts ? counts.inserted : batch.rows_inserted,
+      updated: counts ? counts.updated : batch.rows_updated,
+      unchanged: counts ? counts.unchanged : batch.rows_unchanged,
+      skipped: counts ? counts.skipped : batch.rows_skipped,
+      error: batch.error || null
+    };
+  }
+
+  /**
+   * Upsert one chunk of records inside a transaction
+   */
+  async importChunk(batch, records, counts, report, { dryRun = false } = {}) {
+    // Parse, keeping the last record for a product that appears twice
+    const rowsById = new Map();
+    for (const record of records) {
+      const { row, parsed, skip } = toPriceRow(record, batch.sport);
+      if (skip) {
+        counts.skipped++;
+        report.addSkip(skip, record);
+        continue;
+      }
+      if (rowsById.has(row.scp_id)) {
+        counts.skipped++;
+        report.addSkip('duplicate_scp_id', record);
+      }
+      rowsById.set(row.scp_id, row);
+      report.addParsed(row, parsed);
+    }
+    if (rowsById.size === 0) return;
+
+    const rows = [...rowsById.values()];
+    const existingRows = await db('price_data').whereIn('scp_id', [...rowsById.keys()]);
+    const existingById = new Map(existingRows.map(r => [r.scp_id, r]));
+
+    const inserts = [];
+    const updates = [];
+    const unchangedIds = [];
+    const unchangedRows = [];
+    for (const row of rows) {
+      const existing = existingById.get(row.scp_id);
+      if (!existing) {
+        inserts.push(row);
+        continue;
+      }
+      const changed = changedFields(existing, row);
+      if (changed.length === 0) {
+        counts.unchanged++;
+        unchangedIds.push(existing.id);
+        unchangedRows.push(existing);
+      } else {
+        updates.push({ row, existing, changed });
+      }
+    }
+
+    const written = [...inserts, ...updates.map(u => u.row)];
+    if (dryRun) {
+      counts.inserted += inserts.length;
+      counts.updated += updates.length;
+      return;
+    }
+
+    // The upload confirms unchanged prices too - staleness checks go by confirmed_at.
+    // One 'confirm' version per previous confirmed_at lets a rollback put them back
+    const uploadedAt = new Date(batch.created_at);
+    if (unchangedIds.length > 0) {
+      const idsByConfirmed = new Map();
+      for (const row of unchangedRows) {
+        const previous = row.confirmed_at ? new Date(row.confirmed_at).toISOString() : null;
+        if (!idsByConfirmed.has(previous)) idsByConfirmed.set(previous, []);
+        idsByConfirmed.get(previous).push(row.id);
+      }
+      await db.transaction(async (trx) => {
+        await trx('price_data').whereIn('id', unchangedIds).update({ confirmed_at: uploadedAt });
+        await trx('price_data_versions').insert([...idsByConfirmed].map(([confirmedAt, ids]) => ({
+          import_id: batch.id,
+          scp_id: null,
+          action: 'confirm',
+          previous: JSON.stringify({ confirmed_at: confirmedAt, ids }),
+          data: null,
+          changed_fields: null
+        })));
+      });
+    }
+    if (written.length === 0) return;
+
+    // Link to canonical cards
+    const toCard = (row) => ({
+      sport: row.sport, player: row.player_name, year: row.year,
+      set: row.set_name, cardNumber: row.card_number, parallel: row.parallel,
+      insertSet: row.insert_set, isAuto: row.is_auto, isRelic: row.is_relic, printRun: row.print_run
+    });
+    const cardIds = await this.catalog.resolveCards(written.map(toCard));
+
+    for (const row of written) {
+      row.card_id = cardIds.get(buildCardKey(toCard(row))) || null;
+      row.import_id = batch.id;
+      row.source_file = batch.source_file;
+      row.uploaded_at = uploadedAt;
+      row.confirmed_at = uploadedAt;
+    }
+
+    await db.transaction(async (trx) => {
+      if (inserts.length > 0) {
+        await trx('price_data').insert(inserts);
+      }
+      for (const { row, existing } of updates) {
+        await trx('price_data').where('id', existing.id).update(row);
+      }
+
+      const versions = [
+        ...inserts.map(row => ({
+          import_id: batch.id,
+          scp_id: row.scp_id,
+          action: 'insert',
+          previous: null,
+          data: JSON.stringify(pick(row, TRACKED_FIELDS)),
+          changed_fields: null
+        })),
+        ...updates.map(({ row, existing, changed }) => ({
+          import_id: batch.id,
+          scp_id: row.scp_id,
+          action: 'update',
+          previous: JSON.stringify(pick(existing, VERSIONED_FIELDS)),
+          data: JSON.stringify(pick(row, TRACKED_FIELDS)),
+          changed_fields: changed.join(',')
+        }))
+      ];
+      await trx('price_data_versions').insert(versions);
+    });
+
+    counts.inserted += inserts.length;
+    counts.updated += updates.length;
+
+    // New and changed prices become price history
+    counts.valuesRecorded += await this.catalog.recordValues(
+      written.flatMap(row => this.catalog.getPriceDataValues(row.card_id, row)),
+      { dedupe: false, importId: batch.id }
+    );
+  }
+
+  /**
+   * List import batches, newest first
+   */
+  async listImports({ sport, limit = 50 } = {}) {
+    // Reports can be large - fetch them one batch at a time with getReport
+    let query = db('price_imports')
+      .select(
+        'id', 'sport', 'source_file', 'status', 'dry_run', 'rows_total', 'rows_processed', 'rows_inserted',
+        'rows_updated', 'rows_unchanged', 'rows_skipped', 'bytes_total', 'bytes_processed', 'error',
+        'created_at', 'completed_at', 'rolled_back_at'
+      )
+      .orderBy('id', 'desc')
+      .limit(limit);
+    if (sport) query = query.where({ sport });
+    return query;
+  }
+
+  async getImport(importId) {
+    return db('price_imports').where('id', importId).first();
+  }
+
+  /**
+   * Batch row with its progress, without the report
+   */
+  async getStatus(importId) {
+    const batch = await this.getImport(importId);
+    if (!batch) throw importError('Import not found', 404);
+
+    const { report, file_path, ...summary } = batch;
+    return { ...summary, progress: this.toProgress(batch) };
+  }
+
+  /**
+   * Stored report for a batch (skip reasons, samples, distributions)
+   */
+  async getReport(importId) {
+    const { report, ...batch } = await this.getImport(importId) || {};
+    if (!batch.id) throw importError('Import not found', 404);
+    return { import: batch, report };
+  }
+
+  /**
+   * What a batch changed - one entry per inserted/updated product
+   * @param {Object} options
+   * @param {string} options.action - 'insert' | 'update' | 'confirm' to filter (default inserts and updates)
+   */
+  async getDiff(importId, { action, limit = 100, offset = 0 } = {}) {
+    const batch = await this.getImport(importId);
+    if (!batch) throw importError('Import not found', 404);
+
+    let query = db('price_data_versions').where('import_id', importId);
+    query = action ? query.where({ action }) : query.whereIn('action', ['insert', 'update']);
+
+    const changes = await query.clone().orderBy('id').limit(limit).offset(offset);
+    const { count } = await query.clone().count('* as count').first();
+
+    return {
+      import: batch,
+      total: parseInt(count),
+      changes: changes.map(v => ({
+        scpId: v.scp_id,
+        action: v.action,
+        changedFields: v.changed_fields ? v.changed_fields.split(',') : [],
+        before: v.previous ? pick(v.previous, TRACKED_FIELDS) : null,
+        after: v.data
+      }))
+    };
+  }
+
+  /**
+   * Undo a batch - only the latest live batch for its sport, and never while
+   * another batch for the sport is running, so later batches never end up on
+   * top of restored rows. Reverts inserts, updates, the confirmed_at of
+   * unchanged rows and the price history the batch recorded.
+   */
+  async rollback(importId) {
+    const batch = await this.getImport(importId);
+    if (!batch) throw importError('Import not found', 404);
+    if (batch.status === 'rolled_back') throw importError('Import already rolled back', 400);
+    if (['queued', 'processing'].includes(batch.status)) throw importError('Import still running', 400);
+    if (batch.dry_run) throw importError('Dry runs have nothing to roll back', 400);
+
+    const running = await db('price_imports')
+      .where({ sport: batch.sport, dry_run: false })
+      .whereIn('status', ['queued', 'processing'])
+      .first();
+    if (running) {
+      throw importError(`${batch.sport} import #${running.id} is ${running.status} - wait for it before rolling back`, 400);
+    }
+
+    const latest = await db('price_imports')
+      .where({ sport: batch.sport, dry_run: false })
+      .whereIn('status', ['completed', 'failed', 'cancelled'])
+      .orderBy('id', 'desc')
+      .first();
+    if (latest.id !== batch.id) {
+      throw importError(`Only the latest ${batch.sport} import (#${latest.id}) can be rolled back`, 400);
+    }
+
+    const versions = await db('price_data_versions').where('import_id', importId);
+    let deleted = 0;
+    let restored = 0;
+    let reconfirmed = 0;
+    let valuesRemoved = 0;
+
+    await db.transaction(async (trx) => {
+      for (const v of versions) {
+        if (v.action === 'insert') {
+          deleted += await trx('price_data').where({ scp_id: v.scp_id, import_id: importId }).del();
+        } else if (v.action === 'confirm') {
+          const confirmedAt = v.previous.confirmed_at ? new Date(v.previous.confirmed_at) : null;
+          reconfirmed += await trx('price_data')
+            .whereIn('id', v.previous.ids)
+            .where('confirmed_at', new Date(batch.created_at))
+            .update({ confirmed_at: confirmedAt });
+        } else {
+          restored += await trx('price_data').where({ scp_id: v.scp_id }).update(pick(v.previous, VERSIONED_FIELDS));
+        }
+      }
+
+      valuesRemoved = await trx('market_values').where('import_id', importId).del();
+
+      await trx('price_imports').where('id', importId).update({
+        status: 'rolled_back',
+        rolled_back_at: new Date()
+      });
+    });
+
+    console.log(`Rolled back import #${importId} (${batch.source_file}): ${deleted} removed, ${restored} restored, ${reconfirmed} reconfirmed`);
+    return { importId: batch.id, deleted, restored, reconfirmed, valuesRemoved };
+  }
+}
@@ -1,19 +1,29 @@
 /**
  * Price/Market Value Service
  *
- * Fetches market values from SportsCardPro API only
+ * Fetches market values from SportsCardPro, falling back to 130point sold
+ * comps. Sold comps also sanity-check SportsCardPro values.
  * NO ESTIMATES - returns Unknown if no real data found
  */
 
 import { SportsCardProClient } from './sportscardpro.js';
+import { Scraper130Point } from './scraper130point.js';
 
 const sportsCardPro = new SportsCardProClient();
+const scraper130 = new Scraper130Point();
 const hasSportsCardProToken = !!process.env.SPORTSCARDPRO_TOKEN;
 
 export class PriceService {
   constructor() {
     this.cache = new Map();
     this.cacheTTL = 60 * 60 * 1000; // 1 hour cache
+
+    // 130point sold comps (headless Chrome) - opt in with SOLD_COMPS_ENABLED=true where Chrome is available
+    this.soldCompsEnabled = process.env.SOLD_COMPS_ENABLED === 'true';
+    this.compsCache = new Map();
+    this.minCompSales = parseInt(process.env.SOLD_COMPS_MIN_SALES) || 3;
+    // Flag when SCP and the sold median differ by more than this fraction of the median
+    this.crossCheckThreshold = parseFloat(process.env.PRICE_CROSSCHECK_THRESHOLD) || 0.35;
   }
 
   /**
@@ -28,19 +38,16 @@ export class PriceService {
       return cached.data;
     }
 
-    let result = null;
+    // Try SportsCardPro first
+    let result = await this.getSportsCardProValue({ player, year, set, grade, cardNumber, parallel, imageUrl, sport });
+    if (result && result.marketValue) {
+      result.confidence = 'high';
+    }
 
-    if (hasSportsCardProToken) {
-      try {
-        result = await sportsCardPro.getMarketValue({ player, year, set, grade, cardNumber, parallel, imageUrl, sport });
-        if (result && result.marketValue) {
-          result.confidence = 'high';
-        }
-      } catch (e) {
-        result = { error: e.message };
-      }
-    } else {
-      result = { error: 'no API token' };
+    // Fall back to 130point sold comps
+    if (!result || result.error || !result.marketValue) {
+      const sold = await this.getSoldMarketValue({ player, year, set, grade, cardNumber, parallel });
+      if (sold) result = sold;
     }
 
     // No data found or error - return with error info
@@ -62,37 +69,96 @@ export class PriceService {
   }
 
   /**
-   * Calculate deal score based on current price vs market value
+   * SportsCardPro API value alone, no fallback
    */
-  calculateDealScore(listing, marketValue) {
-    if (!marketValue || marketValue <= 0) return 0;
-
-    const currentPrice = listing.currentPrice;
-    const discount = (marketValue - currentPrice) / marketValue;
-
-    let score = discount * 100;
+  async getSportsCardProValue(card) {
+    if (!hasSportsCardProToken) {
+      return { error: 'no API token' };
+    }
+    try {
+      return await sportsCardPro.getMarketValue(card);
+    } catch (e) {
+      return { error: e.message };
+    }
+  }
 
-    // Boost for auctions ending soon with few bids
-    if (listing.isAuction && listing.auctionEndTime) {
-      const hoursLeft = (new Date(listing.auctionEndTime) - Date.now()) / (1000 * 60 * 60);
+  /**
+   * Recent 130point sales for a card
+   * Returns { median, marketValue, lowest, highest, sampleSize, recentSales, searchUrl } or null
+   * when comps are disabled or there are too few sales to trust.
+   */
+  async getSoldComps({ player, year, set, grade, cardNumber, parallel, insertSet, printRun, isAuto, isRelic }) {
+    if (!this.soldCompsEnabled || !player) return null;
+
+    // 130point searches eBay titles, so mirror how sellers write them. The number,
+    // insert, auto/relic and print run keep base-card sales out of an auto's or a /99's comps
+    const query = [
+      year, set, player, insertSet, parallel,
+      isAuto ? 'Auto' : null,
+      isRelic ? 'Patch' : null,
+      printRun ? `/${printRun}` : null,
+      cardNumber ? `#${String(cardNumber).replace(/^#/, '')}` : null,
+      grade && grade !== 'Raw' ? grade : null
+    ]
+      .filter(Boolean)
+      .join(' ');
+    const cacheKey = query.toLowerCase();
+
+    const cached = this.compsCache.get(cacheKey);
+    if (cached && cached.timestamp > Date.now() - this.cacheTTL) {
+      return cached.data;
+    }
 
-      if (hoursLeft < 1 && listing.bidCount < 5) {
-        score += 10;
-      }
-      if (hoursLeft < 0.25 && listing.bidCount < 3) {
-        score += 15;
+    let comps = null;
+    try {
+      const sold = await scraper130.getSoldPrices(query);
+      if (sold && sold.sampleSize >= this.minCompSales) {
+        comps = {
+          ...sold,
+          searchUrl: `${scraper130.baseUrl}/sales/?search=${encodeURIComponent(query)}`
+        };
       }
+    } catch (e) {
+      // Scraper errors just mean no comps
     }
 
-    // Boost for trusted sellers
-    if (listing.sellerRating >= 99.5) score += 5;
-    if (listing.sellerFeedbackCount >= 1000) score += 3;
+    this.compsCache.set(cacheKey, { data: comps, timestamp: Date.now() });
+    return comps;
+  }
+
+  /**
+   * Market value from sold comps alone - used when SportsCardPro/local data has no match
+   */
+  async getSoldMarketValue(card) {
+    const comps = await this.getSoldComps(card);
+    if (!comps) return null;
+
+    return {
+      marketValue: comps.median,
+      source: '130point',
+      sourceUrl: comps.searchUrl,
+      confidence: 'medium',
+      comps,
+      lastUpdated: new Date()
+    };
+  }
 
-    // Penalty for shipping
-    if (listing.shippingCost && listing.shippingCost > 5) {
-      score -= 5;
+  /**
+   * Compare a market value with the sold median
+   * Returns { priceFlag, diffPct } - priceFlag is null when they agree,
+   * 'above_sold_comps' or 'below_sold_comps' when the value is off by more than the threshold
+   */
+  crossCheck(marketValue, comps) {
+    if (!marketValue || !comps?.median) {
+      return { priceFlag: null, diffPct: null };
     }
 
-    return Math.min(Math.max(Math.round(score), 0), 100);
+    const diff = (marketValue - comps.median) / comps.median;
+    const diffPct = Math.round(diff * 100);
+
+    if (Math.abs(diff) <= this.crossCheckThreshold) {
+      return { priceFlag: null, diffPct };
+    }
+    return { priceFlag: diff > 0 ? 'above_sold_comps' : 'below_sold_comps', diffPct };
   }
 }
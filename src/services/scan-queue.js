@@ -0,0 +1,161 @@
+/**
+ * Scan Job Queue (BullMQ)
+ *
+ * Each scanPlayer() call runs as its own job so one slow player doesn't hold
+ * up the whole cycle, and several worker replicas can share the same queue.
+ * A repeatable "scan-cycle" job fans out one "scan-player" job per player,
+ * and a repeatable "refresh-listings" job re-checks saved deals.
+ *
+ * Requires REDIS_URL - without it the worker falls back to its in-process loop.
+ */
+
+import { Queue, Worker } from 'bullmq';
+import IORedis from 'ioredis';
+
+export const SCAN_QUEUE = 'card-scan';
+export const DEAD_LETTER_QUEUE = 'card-scan-dead-letter';
+
+const CYCLE_JOB = 'scan-cycle';
+
+export const queueConfig = {
+  concurrency: parseInt(process.env.SCAN_CONCURRENCY) || 2,   // Jobs processed at once per replica
+  attempts: parseInt(process.env.SCAN_ATTEMPTS) || 3,         // Tries before a job is dead-lettered
+  backoffDelay: parseInt(process.env.SCAN_BACKOFF_MS) || 30000 // First retry delay (doubles each time)
+};
+
+/**
+ * Check if a Redis connection is configured
+ */
+export function isQueueEnabled() {
+  return !!process.env.REDIS_URL;
+}
+
+export class ScanQueue {
+  constructor() {
+    // BullMQ workers need blocking connections with no per-request retry limit
+    this.connection = new IORedis(process.env.REDIS_URL, { maxRetriesPerRequest: null });
+
+    this.queue = new Queue(SCAN_QUEUE, {
+      connection: this.connection,
+      defaultJobOptions: {
+        attempts: queueConfig.attempts,
+        backoff: { type: 'exponential', delay: queueConfig.backoffDelay },
+        removeOnComplete: true,
+        removeOnFail: true  // Failed jobs are copied to the dead-letter queue instead
+      }
+    });
+
+    this.deadLetter = new Queue(DEAD_LETTER_QUEUE, { connection: this.connection });
+    this.worker = null;
+  }
+
+  /**
+   * Schedule a repeatable job, replacing any schedule with a different interval
+   * @param {string} jobName - 'scan-cycle' | 'refresh-listings'
+   * @param {number} intervalMinutes - Minutes between runs
+   */
+  async schedule(jobName, intervalMinutes) {
+    const every = Math.max(Number(intervalMinutes) || 5, 1) * 60 * 1000;
+    let scheduled = false;
+
+    const repeatables = await this.queue.getRepeatableJobs();
+    for (const job of repeatables) {
+      if (job.name !== jobName) continue;
+      // BullMQ reports the "every" interval in the pattern field
+      if (job.pattern === String(every)) {
+        scheduled = true;
+      } else {
+        await this.queue.removeRepeatableByKey(job.key);
+      }
+    }
+
+    if (!scheduled) {
+      await this.queue.add(jobName, {}, { repeat: { every }, jobId: jobName });
+    }
+  }
+
+  /**
+   * Run a cycle right away instead of waiting for the first repeat
+   * Replicas starting together share the job ID, so only one cycle is queued.
+   */
+  async kickoff() {
+    await this.queue.add(CYCLE_JOB, {}, { jobId: `${CYCLE_JOB}:kickoff` });
+  }
+
+  /**
+   * Queue one scan job per player
+   * Job IDs are stable per player, so a player still waiting from the last
+   * cycle isn't queued twice.
+   */
+  async enqueuePlayers(players) {
+    const jobs = players.map(({ player, playerId = null, sport, scanRaw = false }) => ({
+      name: 'scan-player',
+      data: { player, playerId, sport, scanRaw },
+      opts: { jobId: `scan-player:${sport}:${player}` }
+    }));
+    await this.queue.addBulk(jobs);
+    return jobs.length;
+  }
+
+  /**
+   * Start processing jobs
+   * @param {Object} handlers - Map of job name to async handler(data, job)
+   */
+  start(handlers) {
+    this.worker = new Worker(SCAN_QUEUE, async (job) => {
+      const handler = handlers[job.name];
+      if (!handler) {
+        throw new Error(`No handler for job ${job.name}`);
+      }
+      return handler(job.data, job);
+    }, {
+      connection: this.connection,
+      concurrency: queueConfig.concurrency
+    });
+
+    this.worker.on('failed', async (job, error) => {
+      if (!job) return;
+      const maxAttempts = job.opts.attempts || 1;
+
+      if (job.attemptsMade < maxAttempts) {
+        console.log(`  [Queue] ${job.name} ${job.data.player || ''} failed (attempt ${job.attemptsMade}/${maxAttempts}): ${error.message}`);
+        return;
+      }
+
+      // Out of retries - park it in the dead-letter queue for inspection
+      try {
+        await this.deadLetter.add(job.name, {
+          ...job.data,
+          failedReason: error.message,
+          attemptsMade: job.attemptsMade,
+          failedAt: new Date().toISOString()
+        });
+        console.log(`  [Queue] ${job.name} ${job.data.player || ''} dead-lettered: ${error.message}`);
+      } catch (e) {
+        console.log(`  [Queue] Dead-letter error: ${e.message}`);
+      }
+    });
+
+    this.worker.on('error', (error) => {
+      console.error('Queue worker error: ' + error.message);
+    });
+
+    return this.worker;
+  }
+
+  /**
+   * Queue counts for logging
+   */
+  async getCounts() {
+    const counts = await this.queue.getJobCounts('waiting', 'active', 'delayed');
+    counts.deadLetter = await this.deadLetter.count();
+    return counts;
+  }
+
+  async close() {
+    if (this.worker) await this.worker.close();
+    await this.queue.close();
+    await this.deadLetter.close();
+    await this.connection.quit();
+  }
+}
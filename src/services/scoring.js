@@ -0,0 +1,170 @@
+/**
+ * Deal Scoring
+ *
+ * One place for the 0-100 deal score, with named strategies:
+ *   discount   - how far under market value, nothing else
+ *   auction    - discount plus boosts for auctions about to close with few
+ *                bids, trusted sellers, and a penalty for pricey shipping
+ *   netProfit  - ROI after fees, tax and shipping (see cost-model.js)
+ *   confidence - discount scaled by how much the market value can be trusted
+ * Any strategy is then nudged by the card's 30-day price trend, so a discount
+ * on a card whose value is collapsing ranks below one on a rising card, and
+ * lifted by its PSA scarcity score when the card's pop report is known.
+ * Every score is saved with its strategy and SCORING_VERSION so scores from
+ * different formulas can be told apart and recomputed.
+ */
+
+import { DEFAULT_COST_MODEL, estimateDealCosts } from './cost-model.js';
+
+// Bump when a formula changes
+export const SCORING_VERSION = 3;
+
+export const STRATEGIES = ['discount', 'auction', 'netProfit', 'confidence'];
+
+export const DEFAULT_SCORING = {
+  strategy: 'auction',
+  weights: {
+    discount: 100,          // Points for a card priced at zero (score = discount × this)
+    endingSoonBoost: 10,    // Auction under an hour left with < 5 bids
+    lastMinutesBoost: 15,   // ...and under 15 minutes with < 3 bids
+    trustedSellerBoost: 5,  // Seller rating 99.5%+
+    highFeedbackBoost: 3,   // 1000+ feedback
+    shippingPenalty: 5,     // Shipping over $5
+    roi: 1,                 // netProfit: points per 1% ROI
+    confidenceExponent: 1,  // confidence: discount × (confidence/100)^exponent
+    trend: 0.25,            // Points per 1% of 30-day value change (0 = ignore trend)
+    trendCap: 10,           // Most the trend can add or take away
+    scarcity: 0.1           // Points per point of PSA scarcity score (0-100, from the PSA 10 pop; 0 = ignore)
+  }
+};
+
+function toWeight(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Merge a partial scoring config (e.g. from POST /api/settings) over a base config
+ * Unknown strategies and weights are ignored.
+ */
+export function normalizeScoring(input = {}, base = DEFAULT_SCORING) {
+  const weights = {};
+  for (const [key, fallback] of Object.entries(base.weights)) {
+    weights[key] = toWeight(input.weights?.[key], fallback);
+  }
+  return {
+    strategy: STRATEGIES.includes(input.strategy) ? input.strategy : base.strategy,
+    weights
+  };
+}
+
+function discountOf(listing, marketValue) {
+  return (marketValue - Number(listing.currentPrice)) / marketValue;
+}
+
+function auctionScore(listing, marketValue, weights) {
+  let score = discountOf(listing, marketValue) * weights.discount;
+
+  // Boost for auctions ending soon with few bids
+  if (listing.isAuction && listing.auctionEndTime) {
+    const hoursLeft = (new Date(listing.auctionEndTime) - Date.now()) / (1000 * 60 * 60);
+
+    if (hoursLeft < 1 && listing.bidCount < 5) {
+      score += weights.endingSoonBoost;
+    }
+    if (hoursLeft < 0.25 && listing.bidCount < 3) {
+      score += weights.lastMinutesBoost;
+    }
+  }
+
+  // Boost for trusted sellers
+  if (listing.sellerRating >= 99.5) score += weights.trustedSellerBoost;
+  if (listing.sellerFeedbackCount >= 1000) score += weights.highFeedbackBoost;
+
+  // Penalty for shipping
+  if (listing.shippingCost && listing.shippingCost > 5) {
+    score -= weights.shippingPenalty;
+  }
+
+  return score;
+}
+
+const SCORERS = {
+  discount: (listing, market, weights) => discountOf(listing, market.value) * weights.discount,
+
+  auction: (listing, market, weights) => auctionScore(listing, market.value, weights),
+
+  netProfit: (listing, market, weights, costModel) => {
+    const { roi } = estimateDealCosts(listing, market.value, costModel);
+    return (roi ?? 0) * weights.roi;
+  },
+
+  confidence: (listing, market, weights) => {
+    const confidence = Math.min(100, Math.max(0, market.confidence ?? 0)) / 100;
+    return discountOf(listing, market.value) * weights.discount * Math.pow(confidence, weights.confidenceExponent);
+  }
+};
+
+/**
+ * Score a deal 0-100
+ * @param {Object} listing - { currentPrice, isAuction, auctionEndTime, bidCount, sellerRating,
+ *   sellerFeedbackCount, shippingCost, platform, grade, serialPremium }
+ * @param {Object} market - { value, confidence, trend, stale, scarcity } - trend is the 30-day % change,
+ *   scarcity the card's 0-100 PSA scarcity score (null when its pop report isn't known)
+ * @param {Object} options
+ * @param {Object} options.scoring - { strategy, weights } (defaults to DEFAULT_SCORING)
+ * @param {Object} options.costModel - Used by the netProfit strategy
+ * @param {number} options.staleScoreFactor - Multiplier when the market value is stale (see staleness.js)
+ * @returns {Object} { score, strategy, version }
+ */
+export function scoreDeal(listing, market, { scoring = DEFAULT_SCORING, costModel = DEFAULT_COST_MODEL, staleScoreFactor = 1 } = {}) {
+  const { strategy, weights } = normalizeScoring(scoring);
+  // 1/1s and jersey-numbered copies sell above the parallel's price, so a discount to it means nothing
+  if (listing.serialPremium || !market?.value || market.value <= 0) {
+    return { score: 0, strategy, version: SCORING_VERSION };
+  }
+
+  let score = SCORERS[strategy](listing, market, weights, costModel || DEFAULT_COST_MODEL);
+  if (market.trend != null) {
+    score += Math.max(-weights.trendCap, Math.min(weights.trendCap, Number(market.trend) * weights.trend));
+  }
+  if (market.scarcity != null) {
+    score += Number(market.scarcity) * weights.scarcity;
+  }
+  if (market.stale) {
+    score *= staleScoreFactor;
+  }
+
+  return {
+    score: Math.min(Math.max(Math.round(score), 0), 100),
+    strategy,
+    version: SCORING_VERSION
+  };
+}
+
+/**
+ * Scoring inputs from a saved listings row
+ */
+export function fromListingRow(row) {
+  return {
+    listing: {
+      currentPrice: Number(row.current_price),
+      isAuction: row.is_auction,
+      auctionEndTime: row.auction_end_time,
+      bidCount: row.bid_count,
+      sellerRating: row.seller_rating != null ? Number(row.seller_rating) : null,
+      sellerFeedbackCount: row.seller_feedback_count,
+      shippingCost: row.shipping_cost != null ? Number(row.shipping_cost) : null,
+      platform: row.platform,
+      grade: row.grade,
+      serialPremium: row.serial_premium
+    },
+    market: {
+      value: Number(row.market_value),
+      confidence: row.market_confidence,
+      trend: row.trend_30d != null ? Number(row.trend_30d) : null,
+      stale: !!row.price_stale,
+      scarcity: row.scarcity_score
+    }
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Price Staleness
+ *
+ * How old a market value may be before deals priced on it stop being
+ * trusted. Limits are set per price source and can be overridden per sport.
+ * Deals valued only on stale data are quarantined (hidden from /api/deals
+ * by default) and their deal score is scaled down.
+ */
+
+import { db } from '../db/index.js';
+import { scoreDeal, fromListingRow } from './scoring.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_STALENESS = {
+  maxAgeDays: {
+    local: 30,          // Imported SportsCardPro CSVs
+    sportscardpro: 7,
+    '130point': 7,
+    psa: 30
+  },
+  sports: {},           // Per sport overrides, e.g. { football: { local: 60 } }
+  scoreFactor: 0.5      // Deal score multiplier for deals priced on stale data
+};
+
+function toDays(value, fallback) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Merge a partial staleness config (e.g. from POST /api/settings) over a base config
+ */
+export function normalizeStaleness(input = {}, base = DEFAULT_STALENESS) {
+  const maxAgeDays = {};
+  for (const [source, days] of Object.entries(base.maxAgeDays)) {
+    maxAgeDays[source] = toDays(input.maxAgeDays?.[source], days);
+  }
+
+  const sports = {};
+  for (const sport of new Set([...Object.keys(base.sports), ...Object.keys(input.sports || {})])) {
+    const overrides = { ...base.sports[sport], ...input.sports?.[sport] };
+    sports[sport] = {};
+    for (const [source, days] of Object.entries(overrides)) {
+      if (source in maxAgeDays && toDays(days, null)) sports[sport][source] = toDays(days, null);
+    }
+  }
+
+  const factor = Number(input.scoreFactor);
+  return {
+    maxAgeDays,
+    sports,
+    scoreFactor: Number.isFinite(factor) && factor >= 0 && factor <= 1 ? factor : base.scoreFactor
+  };
+}
+
+/**
+ * Maximum age in days for a source's values in a sport
+ */
+export function getMaxAgeDays(source, sport, config = DEFAULT_STALENESS) {
+  return config.sports?.[sport]?.[source] ?? config.maxAgeDays[source] ?? null;
+}
+
+/**
+ * Check the sources behind a market value
+ * @param {Array} sources - Market value sources ({ source, value, used, lastUpdated })
+ * @returns {Object} { stale, staleSources: [{ source, ageDays, maxAgeDays }] }
+ *   stale is true only when every source the value was built from is past its limit.
+ */
+export function checkStaleness(sources, sport, config = DEFAULT_STALENESS) {
+  const used = (sources || []).filter(s => s.value > 0 && s.used !== false);
+  const staleSources = [];
+
+  for (const s of used) {
+    const maxAgeDays = getMaxAgeDays(s.source, sport, config);
+    if (!maxAgeDays || !s.lastUpdated) continue;
+    const ageDays = (Date.now() - new Date(s.lastUpdated).getTime()) / DAY_MS;
+    if (ageDays > maxAgeDays) {
+      staleSources.push({ source: s.source, ageDays: Math.floor(ageDays), maxAgeDays });
+    }
+  }
+
+  return { stale: used.length > 0 && staleSources.length === used.length, staleSources };
+}
+
+/**
+ * Price data sets (sport/set/year) whose newest price is past the local limit
+ * @returns {Array} [{ sport, set_name, year, count, last_updated, age_days, max_age_days }]
+ */
+export async function getStaleSets(config = DEFAULT_STALENESS) {
+  const sets = await db('price_data')
+    .select('sport', 'set_name', 'year')
+    .count('* as count')
+    .max({ last_updated: db.raw('COALESCE(confirmed_at, uploaded_at)') })
+    .groupBy('sport', 'set_name', 'year')
+    .orderBy([{ column: 'sport' }, { column: 'year', order: 'desc' }]);
+
+  return sets
+    .map(set => {
+      const maxAgeDays = getMaxAgeDays('local', set.sport, config);
+      const ageDays = set.last_updated ? Math.floor((Date.now() - new Date(set.last_updated).getTime()) / DAY_MS) : null;
+      return { ...set, count: parseInt(set.count), age_days: ageDays, max_age_days: maxAgeDays };
+    })
+    .filter(set => set.age_days == null || set.age_days > set.max_age_days);
+}
+
+/**
+ * Current dates for the local sources behind a batch of listings - the
+ * price_data row a source came from, or the card's newest row for listings
+ * saved before sources recorded it
+ * @returns {Function} (listing, source) → date or null
+ */
+async function loadLocalDates(rows) {
+  const localSources = rows.flatMap(row => row.sources.filter(s => s.source === 'local').map(s => ({ row, s })));
+  const ids = [...new Set(localSources.map(({ s }) => s.priceDataId).filter(Boolean))];
+  const cardIds = [...new Set(localSources.filter(({ s }) => !s.priceDataId).map(({ row }) => row.card_id).filter(Boolean))];
+
+  const byId = new Map();
+  if (ids.length > 0) {
+    const priced = await db('price_data').whereIn('id', ids)
+      .select('id', db.raw('COALESCE(confirmed_at, uploaded_at) as last_updated'));
+    for (const p of priced) byId.set(p.id, p.last_updated);
+  }
+  const byCard = new Map();
+  if (cardIds.length > 0) {
+    const priced = await db('price_data').whereIn('card_id', cardIds)
+      .select('card_id')
+      .max({ last_updated: db.raw('COALESCE(confirmed_at, uploaded_at)') })
+      .groupBy('card_id');
+    for (const p of priced) byCard.set(p.card_id, p.last_updated);
+  }
+
+  return (row, s) => (s.priceDataId ? byId.get(s.priceDataId) : byCard.get(row.card_id)) || null;
+}
+
+/**
+ * Re-check active listings against the stored breakdown of the sources
+ * their value came from (market_sources). Local sources take the current
+ * date of their price_data row, so re-uploading a CSV releases the deals
+ * it had quarantined. A listing whose stale flag flips is re-scored, which
+ * applies or removes the stale score factor.
+ * @param {Object} options - { staleness, scoring, costModel }
+ * @returns {Object} { marked, cleared, changed: [updated listings rows] }
+ */
+export async function refreshListingStaleness({ staleness = DEFAULT_STALENESS, scoring, costModel } = {}) {
+  const changed = [];
+  let marked = 0;
+  let cleared = 0;
+  let lastId = 0;
+
+  while (true) {
+    const batch = await db('listings')
+      .where('is_active', true)
+      .where('id', '>', lastId)
+      .whereNotNull('market_sources')
+      .orderBy('id')
+      .limit(500);
+    if (batch.length === 0) break;
+    lastId = batch[batch.length - 1].id;
+
+    const rows = batch.map(row => ({
+      ...row,
+      sources: (typeof row.market_sources === 'string' ? JSON.parse(row.market_sources) : row.market_sources) || []
+    }));
+    const localDate = await loadLocalDates(rows);
+
+    for (const { sources, ...row } of rows) {
+      const current = sources.map(s => s.source === 'local' ? { ...s, lastUpdated: localDate(row, s) || s.lastUpdated } : s);
+      const { stale, staleSources } = checkStaleness(current, row.sport, staleness);
+      const update = {
+        price_stale: stale,
+        stale_sources: staleSources.map(s => s.source).join(',') || null
+      };
+      if (update.price_stale === !!row.price_stale && update.stale_sources === (row.stale_sources || null)) continue;
+
+      if (update.price_stale !== !!row.price_stale) {
+        const { listing, market } = fromListingRow({ ...row, ...update });
+        const scored = scoreDeal(listing, market, { scoring, costModel, staleScoreFactor: staleness.scoreFactor });
+        update.deal_score = scored.score;
+        update.score_strategy = scored.strategy;
+        update.score_version = scored.version;
+        if (stale) marked++; else cleared++;
+      }
+      update.last_updated = new Date();
+
+      const [updated] = await db('listings').where('id', row.id).update(update).returning('*');
+      changed.push(updated);
+    }
+  }
+
+  return { marked, cleared, changed };
+}
@@ -0,0 +1,191 @@
+/**
+ * Price Trend Service
+ *
+ * Reads the price history in market_values and works out how a card's value
+ * is moving: 7/30/90-day change and volatility, per card and rolled up per
+ * player. Imports only record values that changed, so a card's value at any
+ * moment is the last value recorded before it.
+ */
+
+import { db } from '../db/index.js';
+import { gradeKey } from './grading.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOWS = [7, 30, 90];
+const HISTORY_DAYS = 365;       // How far back to look for the value at the start of a window
+const FLAT_THRESHOLD_PCT = 5;   // 30-day moves inside ±5% count as flat
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+// When a card has history from several sources, prefer the price guide snapshots
+const SOURCE_PRIORITY = ['local', 'sportscardpro', 'composite', '130point', 'psa'];
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Trend for one price series
+ * @param {Array} points - [{ value, at }], oldest first
+ * @returns {Object} { latest, changes: { 7, 30, 90 }, volatility, direction, points }
+ *   Changes are percentages, null when the history doesn't reach back that far.
+ *   Volatility is the standard deviation of step-to-step % moves over 90 days.
+ */
+export function computeTrend(points, now = Date.now()) {
+  if (points.length === 0) return null;
+
+  const latest = points[points.length - 1].value;
+  const valueAt = (time) => {
+    let value = null;
+    for (const p of points) {
+      if (p.at > time) break;
+      value = p.value;
+    }
+    return value;
+  };
+
+  const changes = {};
+  for (const days of WINDOWS) {
+    const base = valueAt(now - days * DAY_MS);
+    changes[days] = base > 0 ? round1((latest - base) / base * 100) : null;
+  }
+
+  // Values within the 90-day window, starting from the value in force when it opened
+  const windowStart = now - 90 * DAY_MS;
+  const series = [valueAt(windowStart), ...points.filter(p => p.at > windowStart).map(p => p.value)]
+    .filter(v => v > 0);
+  let volatility = null;
+  if (series.length >= 3) {
+    const returns = series.slice(1).map((v, i) => Math.log(v / series[i]));
+    const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / returns.length;
+    volatility = round1(Math.sqrt(variance) * 100);
+  }
+
+  const move = changes[30] ?? changes[7] ?? changes[90];
+  let direction = 'flat';
+  if (move > FLAT_THRESHOLD_PCT) direction = 'rising';
+  else if (move < -FLAT_THRESHOLD_PCT) direction = 'falling';
+
+  return { latest, changes, volatility, direction, points: points.length };
+}
+
+/**
+ * Pick one source's series - mixing sources would read their disagreement as price moves
+ */
+function pickSeries(rows) {
+  const bySource = new Map();
+  for (const row of rows) {
+    if (!bySource.has(row.source)) bySource.set(row.source, []);
+    bySource.get(row.source).push({ value: Number(row.market_value), at: new Date(row.last_updated).getTime() });
+  }
+  if (bySource.size === 0) return { source: null, points: [] };
+
+  const rank = (source) => {
+    const i = SOURCE_PRIORITY.indexOf(source);
+    return i === -1 ? SOURCE_PRIORITY.length : i;
+  };
+  const [source, points] = [...bySource.entries()]
+    .sort((a, b) => b[1].length - a[1].length || rank(a[0]) - rank(b[0]))[0];
+  return { source, points: points.sort((a, b) => a.at - b.at) };
+}
+
+export class TrendService {
+  constructor() {
+    this.cache = new Map();  // card_id:grade → { trend, at }
+  }
+
+  /**
+   * Trend for a card at a grade, or null without history
+   */
+  async getCardTrend(cardId, grade) {
+    if (!cardId) return null;
+
+    const key = `${cardId}:${gradeKey(grade)}`;
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.at < CACHE_TTL_MS) return cached.trend;
+
+    const rows = await db('market_values')
+      .where('card_id', cardId)
+      .where('grade', gradeKey(grade))
+      .where('last_updated', '>=', new Date(Date.now() - HISTORY_DAYS * DAY_MS))
+      .orderBy('last_updated', 'asc')
+      .select('market_value', 'source', 'last_updated');
+
+    const { source, points } = pickSeries(rows);
+    const trend = points.length > 0 ? { ...computeTrend(points), source } : null;
+
+    this.cache.set(key, { trend, at: Date.now() });
+    return trend;
+  }
+
+  /**
+   * Trend across a player's cards - changes are weighted by card value so
+   * a $500 card moving counts more than a $5 one
+   * @returns {Object} { cards, changes, volatility, direction, movers: { rising, falling } }
+   */
+  async getPlayerTrend(playerName, sport, { grade } = {}) {
+    let query = db('market_values')
+      .join('cards', 'cards.id', 'market_values.card_id')
+      .whereRaw('LOWER(cards.player_name) = ?', [playerName.toLowerCase()])
+      .where('market_values.last_updated', '>=', new Date(Date.now() - HISTORY_DAYS * DAY_MS))
+      .orderBy('market_values.last_updated', 'asc')
+      .select(
+        'market_values.card_id', 'market_values.grade', 'market_values.market_value',
+        'market_values.source', 'market_values.last_updated',
+        'cards.year', 'cards.set_name', 'cards.card_number', 'cards.parallel'
+      );
+    if (sport) query = query.where('cards.sport', sport);
+    if (grade) query = query.where('market_values.grade', gradeKey(grade));
+
+    const rows = await query;
+
+    // One series per card and grade
+    const groups = new Map();
+    for (const row of rows) {
+      const key = `${row.card_id}:${row.grade}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row);
+    }
+
+    const cards = [];
+    for (const groupRows of groups.values()) {
+      const { source, points } = pickSeries(groupRows);
+      const trend = computeTrend(points);
+      if (!trend) continue;
+      const { card_id, grade: cardGrade, year, set_name, card_number, parallel } = groupRows[0];
+      cards.push({
+        cardId: card_id,
+        card: `${year || ''} ${set_name || ''} #${card_number} ${parallel || 'base'}`.replace(/\s+/g, ' ').trim(),
+        grade: cardGrade,
+        source,
+        ...trend
+      });
+    }
+
+    const weighted = (days) => {
+      const withChange = cards.filter(c => c.changes[days] != null);
+      const totalValue = withChange.reduce((sum, c) => sum + c.latest, 0);
+      if (totalValue <= 0) return null;
+      return round1(withChange.reduce((sum, c) => sum + c.changes[days] * c.latest, 0) / totalValue);
+    };
+    const changes = Object.fromEntries(WINDOWS.map(days => [days, weighted(days)]));
+
+    const volatilities = cards.map(c => c.volatility).filter(v => v != null).sort((a, b) => a - b);
+    const volatility = volatilities.length > 0 ? volatilities[Math.floor(volatilities.length / 2)] : null;
+
+    const move = changes[30] ?? changes[7] ?? changes[90];
+    let direction = 'flat';
+    if (move > FLAT_THRESHOLD_PCT) direction = 'rising';
+    else if (move < -FLAT_THRESHOLD_PCT) direction = 'falling';
+
+    const by30 = cards.filter(c => c.changes[30] != null).sort((a, b) => b.changes[30] - a.changes[30]);
+    return {
+      cards: cards.length,
+      changes,
+      volatility,
+      direction,
+      movers: {
+        rising: by30.filter(c => c.changes[30] > 0).slice(0, 5),
+        falling: by30.filter(c => c.changes[30] < 0).slice(-5).reverse()
+      }
+    };
+  }
+}
@@ -7,16 +7,33 @@ dotenv.config();
 
 import { EbayClient } from './services/ebay.js';
 import { COMCClient } from './services/comc.js';
-import { Scraper130Point } from './services/scraper130point.js';
 import { PriceService } from './services/pricing.js';
 import { LocalPricingService } from './services/local-pricing.js';
+import { ListingRefreshService } from './services/listing-refresh.js';
+import { PSAClient } from './services/psa.js';
+import { CertVerificationService } from './services/cert-verification.js';
+import { PopulationService } from './services/population.js';
+import { MarketValueService } from './services/market-value.js';
+import { CardCatalog } from './services/card-catalog.js';
+import { ScanQueue, isQueueEnabled, queueConfig } from './services/scan-queue.js';
+import { GRADERS } from './services/grading.js';
+import { DEFAULT_COST_MODEL, estimateDealCosts } from './services/cost-model.js';
+import { DEFAULT_SCORING, scoreDeal } from './services/scoring.js';
+import { TrendService } from './services/trends.js';
+import { DEFAULT_STALENESS, checkStaleness, getStaleSets, refreshListingStaleness } from './services/staleness.js';
 import { db } from './db/index.js';
 
 const ebay = new EbayClient();
 const comc = new COMCClient();
-const scraper130 = new Scraper130Point();
 const pricing = new PriceService();
 const localPricing = new LocalPricingService();
+const listingRefresh = new ListingRefreshService(ebay, comc);
+const psa = new PSAClient();
+const certVerification = new CertVerificationService(psa, ebay);
+const population = new PopulationService(psa);
+const marketValues = new MarketValueService({ localPricing, pricing, psa });
+const catalog = new CardCatalog();
+const trends = new TrendService();
 
 const hasEbayKeys = process.env.EBAY_CLIENT_ID && process.env.EBAY_CLIENT_SECRET;
 let useLocalPricing = false;  // Will be set on startup
@@ -26,7 +43,16 @@ let settings = {
   minPrice: 0,
   maxPrice: 500,
   minDealScore: 10,
-  cardYear: null
+  cardYear: null,
+  refreshInterval: 10,
+  graders: GRADERS,
+  minGrade: 9,
+  rawMode: false,
+  comcEnabled: false,
+  minConfidence: 25,
+  costModel: DEFAULT_COST_MODEL,
+  scoring: DEFAULT_SCORING,
+  staleness: DEFAULT_STALENESS
 };
 
 // Fetch settings from server API
@@ -46,97 +72,240 @@ async function fetchSettings() {
   }
 }
 
+// Refresh settings and pricing mode - throttled so queued jobs don't hit the server every time
+let stateRefreshedAt = 0;
+async function refreshState(force = false) {
+  if (!force && Date.now() - stateRefreshedAt < 60 * 1000) return;
+  stateRefreshedAt = Date.now();
+
+  await fetchSettings();
+  try {
+    useLocalPricing = await localPricing.hasData();
+  } catch (e) {}
+
+  if (useLocalPricing) await warnStalePriceData();
+}
+
+// Log price data sets past their staleness limit - at most once an hour
+let staleWarnedAt = 0;
+async function warnStalePriceData() {
+  if (Date.now() - staleWarnedAt < 60 * 60 * 1000) return;
+  staleWarnedAt = Date.now();
+
+  try {
+    const staleSets = await getStaleSets(settings.staleness || DEFAULT_STALENESS);
+    if (staleSets.length === 0) return;
+    const examples = staleSets.slice(0, 5).map(s => `${s.sport} ${s.year || ''} ${s.set_name || '(no set)'} (${s.age_days}d)`);
+    console.log(`WARNING: ${staleSets.length} price data sets are past their staleness limit - re-upload SportsCardPro CSVs`);
+    console.log(`  e.g. ${examples.join(', ')}`);
+  } catch (e) {
+    console.log('  Stale price check failed: ' + e.message);
+  }
+}
+
 // Players are now loaded from database - see getMonitoredPlayers()
+// Returns { sport: [{ id, name, scanRaw }] }
 async function getMonitoredPlayers() {
   try {
     const players = await db('monitored_players').where({ active: true });
-    const result = { basketball: [], baseball: [] };
+    const result = { basketball: [], baseball: [], football: [] };
     for (const p of players) {
       if (result[p.sport]) {
-        result[p.sport].push(p.name);
+        result[p.sport].push({ id: p.id, name: p.name, scanRaw: !!p.scan_raw });
       }
     }
     return result;
   } catch (e) {
     console.log('Failed to load players from DB, using defaults:', e.message);
     // Fallback to defaults if DB not ready
-    return {
+    const defaults = {
       basketball: ['LeBron James', 'Victor Wembanyama', 'Luka Doncic', 'Anthony Edwards', 'Stephen Curry'],
-      baseball: ['Shohei Ohtani', 'Mike Trout', 'Julio Rodriguez', 'Gunnar Henderson', 'Juan Soto']
+      baseball: ['Shohei Ohtani', 'Mike Trout', 'Julio Rodriguez', 'Gunnar Henderson', 'Juan Soto'],
+      football: ['Patrick Mahomes', 'Josh Allen', 'Joe Burrow', 'C.J. Stroud', 'Justin Jefferson']
     };
+    const result = {};
+    for (const [sport, names] of Object.entries(defaults)) {
+      result[sport] = names.map(name => ({ id: null, name, scanRaw: false }));
+    }
+    return result;
   }
 }
 
-function buildQueries(player) {
-  // Simplified queries for speed - just PSA 10 and PSA 9
+// Graders that show up in titles - excluded from raw searches
+const SLAB_EXCLUSIONS = ' -PSA -BGS -SGC -CGC';
+
+/**
+ * Build the built-in eBay queries for a player (used when no templates are set up)
+ * Returns [{ query, raw }] - raw queries are searched for ungraded cards only
+ */
+function buildQueries(player, { scanRaw = false } = {}) {
+  // PSA gets grade-specific queries (most listings); other graders one query each
   const year = settings.cardYear ? settings.cardYear + ' ' : '';
-  return [
-    year + player + ' PSA 10',
-    year + player + ' PSA 9'
-  ];
+  const minGrade = settings.minGrade ?? 9;
+  const queries = [];
+  for (const grader of settings.graders || GRADERS) {
+    if (grader === 'PSA') {
+      queries.push({ query: year + player + ' PSA 10', raw: false });
+      if (minGrade <= 9) queries.push({ query: year + player + ' PSA 9', raw: false });
+    } else {
+      queries.push({ query: year + player + ' ' + grader, raw: false });
+    }
+  }
+
+  if (settings.rawMode || scanRaw) {
+    queries.push({ query: year + player + SLAB_EXCLUSIONS, raw: true });
+  }
+  return queries;
+}
+
+// Fill in {player} and {year} - an unset year drops out of the query
+function renderTemplate(template, player) {
+  return template
+    .replace(/\{player\}/gi, player)
+    .replace(/\{year\}/gi, settings.cardYear || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Queries from query_templates - the player's own if it has any, otherwise the global ones
+ * Raw templates only run when raw scanning is on. Falls back to buildQueries().
+ * Returns [{ query, raw, templateId }]
+ */
+async function getPlayerQueries(player, { playerId = null, scanRaw = false } = {}) {
+  let templates = [];
+  try {
+    const rows = await db('query_templates')
+      .where('active', true)
+      .where(function() {
+        this.whereNull('player_id');
+        if (playerId) this.orWhere('player_id', playerId);
+      })
+      .orderBy('id');
+    const own = playerId ? rows.filter(t => t.player_id === playerId) : [];
+    templates = own.length > 0 ? own : rows.filter(t => t.player_id === null);
+  } catch (e) {
+    // Table missing (migrations not run) - use built-in queries
+  }
+
+  const rawEnabled = settings.rawMode || scanRaw;
+  const queries = templates
+    .filter(t => t.mode !== 'raw' || rawEnabled)
+    .map(t => ({ query: renderTemplate(t.template, player), raw: t.mode === 'raw', templateId: t.id }));
+
+  return queries.length > 0 ? queries : buildQueries(player, { scanRaw });
+}
+
+// Record how many listings and matchable listings a template produced
+async function recordTemplateStats(templateId, listings) {
+  try {
+    const matchable = listings.filter(isMatchable).length;
+    await db('query_templates').where('id', templateId).update({
+      runs: db.raw('runs + 1'),
+      listings_found: db.raw('listings_found + ?', [listings.length]),
+      matchable_count: db.raw('matchable_count + ?', [matchable]),
+      last_used_at: new Date()
+    });
+  } catch (e) {
+    // Stats are best-effort
+  }
+}
+
+// The card as the price sources want it
+function pricingCard(listing, sport, playerName) {
+  return {
+    player: playerName,
+    year: listing.year,
+    set: listing.setName,
+    grade: listing.grade,
+    cardNumber: listing.cardNumber,
+    parallel: listing.parallel,
+    insertSet: listing.insertSet,
+    printRun: listing.printRun,
+    isRookie: listing.isRookie,
+    isAuto: listing.isAuto,
+    isRelic: listing.isRelic,
+    imageUrl: listing.imageUrl,
+    sport: sport
+  };
+}
+
+function toMarketData(result, sport) {
+  return {
+    value: result.marketValue,
+    source: result.source,
+    sourceUrl: result.sourceUrl,
+    date: result.lastUpdated,
+    confidence: result.confidence,
+    sources: result.sources,
+    scpValue: result.scpValue,
+    comps: result.comps || null,
+    staleness: checkStaleness(result.sources, sport, settings.staleness || DEFAULT_STALENESS)
+  };
 }
 
 async function getMarketValue(listing, sport, playerName) {
   try {
-    let result;
-
-    // Use local pricing if available (much faster, no rate limits!)
-    if (useLocalPricing) {
-      result = await localPricing.getMarketValue({
-        year: listing.year,
-        set: listing.setName,
-        grade: listing.grade,
-        cardNumber: listing.cardNumber,
-        parallel: listing.parallel,
-        sport: sport
-      });
-    } else {
-      // Fall back to API-based pricing
-      result = await pricing.getMarketValue({
-        player: playerName,
-        year: listing.year,
-        set: listing.setName,
-        grade: listing.grade,
-        cardNumber: listing.cardNumber,
-        parallel: listing.parallel,
-        imageUrl: listing.imageUrl,
-        sport: sport
-      });
-    }
+    // Blend local price data, SportsCardPro and PSA into one value (130point only when neither guide has it)
+    const result = await marketValues.getMarketValue(
+      pricingCard(listing, sport, playerName),
+      { useLocal: useLocalPricing, staleness: settings.staleness || DEFAULT_STALENESS }
+    );
 
     // Return error reason if no market value found
-    if (!result || result.source === 'unknown' || !result.marketValue) {
+    if (!result || !result.marketValue) {
       return { error: result?.error || 'unknown' };
     }
     // Return full result with source info
-    return {
-      value: result.marketValue,
-      source: result.source,
-      sourceUrl: result.sourceUrl,
-      date: result.lastUpdated
-    };
+    return toMarketData(result, sport);
   } catch (e) {
     return { error: e.message };
   }
 }
 
-function calculateDealScore(price, marketValue) {
-  if (!marketValue || marketValue <= 0) return 0;
-  const discount = (marketValue - price) / marketValue;
-  return Math.min(Math.max(Math.round(discount * 100), 0), 100);
+// Candidate deals only - blend in 130point sold comps, or keep the value as it was
+async function addSoldComps(listing, sport, playerName, marketData) {
+  try {
+    const result = await marketValues.addSoldComps(pricingCard(listing, sport, playerName), marketData.sources);
+    if (!result?.marketValue) return marketData;
+    return { ...toMarketData(result, sport), trend: marketData.trend };
+  } catch (e) {
+    return marketData;
+  }
+}
+
+// Link a listing to its canonical card and record the valuation as price history
+async function recordCardValue(listing, sport, playerName, marketData) {
+  try {
+    const cardId = await catalog.resolveCard({
+      sport,
+      player: playerName,
+      year: listing.year,
+      set: listing.setName,
+      cardNumber: listing.cardNumber,
+      parallel: listing.parallel,
+      insertSet: listing.insertSet,
+      isAuto: listing.isAuto,
+      isRelic: listing.isRelic,
+      printRun: listing.printRun
+    });
+    // Awaited - the trend read right after should include the value being scored
+    await catalog.recordValuation(cardId, listing.grade, marketData).catch(() => {});
+    return cardId;
+  } catch (e) {
+    return null;
+  }
 }
 
-// Only accept PSA 9 or PSA 10 graded cards
-function isPSA9or10(listing) {
-  const title = (listing.title || '').toUpperCase();
-  const grade = (listing.grade || '').toUpperCase();
-  return title.includes('PSA 10') || title.includes('PSA 9') ||
-         grade.includes('PSA 10') || grade.includes('PSA 9');
+// eBay item ID, or the stable ID other sources (COMC) derive from the listing URL
+function getItemId(listing, platform) {
+  return listing.ebayItemId || listing.itemId ||
+    (platform + '-' + Date.now() + '-' + Math.random().toString(36).slice(2));
 }
 
 async function logScan(listing, sport, platform, outcome, rejectReason, marketData, dealScore) {
   try {
-    const itemId = listing.ebayItemId || (platform + '-' + Date.now() + '-' + Math.random().toString(36).slice(2));
+    const itemId = getItemId(listing, platform);
     await db('scan_log').insert({
       ebay_item_id: itemId,
       platform: platform,
@@ -149,6 +318,8 @@ async function logScan(listing, sport, platform, outcome, rejectReason, marketDa
       card_number: listing.cardNumber || null,
       parallel: listing.parallel || null,
       insert_set: listing.insertSet || null,
+      serial_number: listing.serialNumber || null,
+      print_run: listing.printRun || null,
       outcome: outcome,
       reject_reason: rejectReason,
       market_value: marketData?.value || null,
@@ -163,14 +334,26 @@ async function logScan(listing, sport, platform, outcome, rejectReason, marketDa
   }
 }
 
+// Use the verified cert's year/set/number/parallel/grade instead of the title parse
+function applyCertDetails(listing, details) {
+  const merged = { ...listing };
+  for (const key of ['year', 'setName', 'cardNumber', 'grade', 'gradeValue']) {
+    if (details[key] != null) merged[key] = details[key];
+  }
+  merged.parallel = details.parallel;  // No variety on the cert means base
+  merged.insertSet = details.insertSet;
+  return merged;
+}
+
 // Format a short card description for logging
 function shortCard(listing) {
   const year = listing.year || '';
   const set = listing.setName || '';
+  const insert = listing.insertSet || '';
   const num = listing.cardNumber ? '#' + listing.cardNumber : '';
   const par = listing.parallel || 'base';
   const grade = listing.grade || '';
-  return `${year} ${set} ${num} ${par} ${grade}`.replace(/\s+/g, ' ').trim().substring(0, 50);
+  return `${year} ${set} ${insert} ${num} ${par} ${grade}`.replace(/\s+/g, ' ').trim().substring(0, 50);
 }
 
 // Increment scan counter on server
@@ -192,14 +375,98 @@ async function incrementScanCount(count) {
   }
 }
 
+// Send changed listing IDs to the server so it can emit deal:update
+async function notifyDealUpdates(deals) {
+  if (deals.length === 0) return;
+  try {
+    const serverUrl = process.env.SERVER_URL || 'http://localhost:3001';
+    const resp = await fetch(serverUrl + '/api/deals/updates', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ids: deals.map(d => d.id) })
+    });
+    if (!resp.ok) {
+      console.log(`  [Deal updates error: ${resp.status}]`);
+    }
+  } catch (e) {
+    console.log(`  [Deal updates failed: ${e.message}]`);
+  }
+}
+
+// Re-check saved listings and retire ended/sold ones
+async function refreshListings() {
+  const { checked, changed } = await listingRefresh.refreshActiveListings({
+    platforms: hasEbayKeys ? ['ebay', 'comc'] : ['comc'],
+    costModel: settings.costModel,
+    scoring: settings.scoring,
+    staleScoreFactor: (settings.staleness || DEFAULT_STALENESS).scoreFactor
+  });
+  const retired = changed.filter(l => !l.is_active).length;
+  // Quarantine deals whose sources aged past their limit, release ones a new CSV made fresh
+  const staleness = await refreshListingStaleness({
+    staleness: settings.staleness || DEFAULT_STALENESS,
+    scoring: settings.scoring,
+    costModel: settings.costModel
+  }).catch(() => ({ marked: 0, cleared: 0, changed: [] }));
+  console.log(`Refresh: ${checked} checked, ${changed.length} changed, ${retired} retired, ${staleness.marked} newly stale, ${staleness.cleared} no longer stale`);
+  const staleIds = new Set(staleness.changed.map(l => l.id));
+  await notifyDealUpdates([...changed.filter(l => !staleIds.has(l.id)), ...staleness.changed]);
+}
+
+// In the price range and has the card # and set needed to price it
+function isInPriceRange(listing) {
+  return listing.currentPrice >= settings.minPrice && listing.currentPrice <= settings.maxPrice;
+}
+
+// PSA pop report for the card - spec from this listing's cert or one seen earlier
+async function getPopulation(cardId, specId) {
+  try {
+    return await population.getForCard(cardId, specId);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Card's price trend from its market value history - null without history
+async function getTrend(cardId, grade) {
+  try {
+    return await trends.getCardTrend(cardId, grade);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Deal score with the configured strategy and weights - scaled down when priced on stale data
+function scoreListing(listing, platform, marketData) {
+  return scoreDeal(
+    { ...listing, platform },
+    {
+      value: marketData.value,
+      confidence: marketData.confidence,
+      trend: marketData.trend?.changes[30] ?? null,
+      stale: marketData.staleness?.stale || false,
+      scarcity: marketData.scarcity ?? null
+    },
+    {
+      scoring: settings.scoring || DEFAULT_SCORING,
+      costModel: settings.costModel || DEFAULT_COST_MODEL,
+      staleScoreFactor: (settings.staleness || DEFAULT_STALENESS).scoreFactor
+    }
+  );
+}
+
+function isMatchable(listing) {
+  return isInPriceRange(listing) && !!listing.cardNumber && !!listing.setName;
+}
+
 async function processListings(listings, sport, platform, playerName) {
-  // Listings are already filtered to PSA 9/10 by the eBay client
+  // Listings are already filtered by the eBay client - accepted graders/grades, or ungraded for raw queries
 
   // Filter by price range
-  const inPriceRange = listings.filter(l => l.currentPrice >= settings.minPrice && l.currentPrice <= settings.maxPrice);
+  const inPriceRange = listings.filter(isInPriceRange);
 
   // Skip cards missing essential info (no card # = can't match)
-  const matchable = inPriceRange.filter(l => l.cardNumber && l.setName);
+  const matchable = inPriceRange.filter(isMatchable);
   const skipped = inPriceRange.length - matchable.length;
 
   console.log(`  [${platform}] ${listings.length} cards → ${matchable.length} matchable (${skipped} missing card#/set)`);
@@ -210,10 +477,10 @@ async function processListings(listings, sport, platform, playerName) {
   // Process cards sequentially to respect SportsCardPro rate limits
   let saved = 0;
 
-  for (const listing of matchable) {
+  for (let listing of matchable) {
     try {
-      const marketData = await getMarketValue(listing, sport, playerName);
-      const card = shortCard(listing);
+      let marketData = await getMarketValue(listing, sport, playerName);
+      let card = shortCard(listing);
 
       if (!marketData || !marketData.value) {
         // Log to scan_log with actual error reason
@@ -222,39 +489,152 @@ async function processListings(listings, sport, platform, playerName) {
         continue;
       }
 
-      const dealScore = calculateDealScore(listing.currentPrice, marketData.value);
+      let cardId = await recordCardValue(listing, sport, playerName, marketData);
+      marketData.trend = await getTrend(cardId, listing.grade);
+
+      let scored = scoreListing(listing, platform, marketData);
+      let dealScore = scored.score;
 
-      if (dealScore < settings.minDealScore) {
+      // 1/1s and jersey-numbered copies sell well above the parallel's price - they score 0
+      // and are saved flagged for review instead of going through the deal thresholds
+      const premium = !!listing.serialPremium;
+
+      if (!premium && dealScore < settings.minDealScore) {
         // Log to scan_log - deal score too low
-        logScan(listing, sport, platform, 'rejected', `score_${dealScore}%_below_${settings.minDealScore}%`, marketData, dealScore);
+        const stale = marketData.staleness?.stale ? 'stale_' : '';
+        logScan(listing, sport, platform, 'rejected', `${stale}score_${dealScore}%_below_${settings.minDealScore}%`, marketData, dealScore);
         continue;
       }
 
-      const itemId = listing.ebayItemId || (platform + '-' + Date.now() + '-' + Math.random().toString(36).slice(2));
+      const itemId = getItemId(listing, platform);
       const existing = await db('listings').where('ebay_item_id', itemId).first();
 
       if (!existing) {
+        // Candidate deal - check the PSA cert and re-price from the cert if it describes a different card
+        const cert = await certVerification.verify(listing);
+        if (cert?.verified) {
+          const certCard = applyCertDetails(listing, cert.details);
+          if (shortCard(certCard) !== card) {
+            const certMarketData = await getMarketValue(certCard, sport, playerName);
+            if (!certMarketData?.value) {
+              logScan(certCard, sport, platform, 'rejected', 'cert_' + (certMarketData?.error || 'no_market_value'), null, null);
+              continue;
+            }
+            cardId = await recordCardValue(certCard, sport, playerName, certMarketData);
+            certMarketData.trend = await getTrend(cardId, certCard.grade);
+            const certScored = scoreListing(certCard, platform, certMarketData);
+            const certScore = certScored.score;
+            if (!premium && certScore < settings.minDealScore) {
+              logScan(certCard, sport, platform, 'rejected', `cert_score_${certScore}%_below_${settings.minDealScore}%`, certMarketData, certScore);
+              continue;
+            }
+            marketData = certMarketData;
+            scored = certScored;
+            dealScore = certScore;
+          }
+          listing = certCard;
+          card = shortCard(certCard);
+        }
+
+        // Sold comps are only scraped for candidate deals - re-score with them blended in
+        const withComps = await addSoldComps(listing, sport, playerName, marketData);
+        if (withComps !== marketData) {
+          marketData = withComps;
+          await catalog.recordValuation(cardId, listing.grade, marketData).catch(() => {});
+          scored = scoreListing(listing, platform, marketData);
+          dealScore = scored.score;
+          if (!premium && dealScore < settings.minDealScore) {
+            logScan(listing, sport, platform, 'rejected', `comps_score_${dealScore}%_below_${settings.minDealScore}%`, marketData, dealScore);
+            continue;
+          }
+        }
+
+        // Too few sources or too much disagreement to trust the discount. Stale values
+        // are quarantined and scaled down instead, so age alone never drops a deal here
+        const minConfidence = settings.minConfidence ?? 0;
+        if (marketData.confidence < minConfidence && !marketData.staleness?.stale && !premium) {
+          logScan(listing, sport, platform, 'rejected', `confidence_${marketData.confidence}_below_${minConfidence}`, marketData, dealScore);
+          continue;
+        }
+
+        const pop = await getPopulation(cardId, cert?.specId);
+        if (pop?.scarcity_score != null) {
+          // Scarcity only ever adds, so the gates above still hold
+          marketData.scarcity = pop.scarcity_score;
+          scored = scoreListing(listing, platform, marketData);
+          dealScore = scored.score;
+        }
+
+        // Sanity-check the SportsCardPro value against 130point sold comps
+        const comps = marketData.comps;
+        const { priceFlag } = pricing.crossCheck(marketData.scpValue, comps);
+
+        // What the flip nets after fees, tax and shipping both ways
+        const costs = estimateDealCosts({ ...listing, platform }, marketData.value, settings.costModel || DEFAULT_COST_MODEL);
+
         await db('listings').insert({
           ebay_item_id: itemId,
+          card_id: cardId,
           sport: sport,
           title: listing.title,
           current_price: listing.currentPrice,
           is_auction: listing.isAuction || false,
+          auction_end_time: listing.auctionEndTime || null,
           bid_count: listing.bidCount || 0,
           grade: listing.grade || 'Raw',
+          grader: listing.grader || null,
+          grade_value: listing.gradeValue ?? null,
+          serial_number: listing.serialNumber || null,
+          print_run: listing.printRun || null,
+          insert_set: listing.insertSet || null,
+          is_rookie: !!listing.isRookie,
+          is_auto: !!listing.isAuto,
+          is_relic: !!listing.isRelic,
+          is_rpa: !!listing.isRpa,
+          serial_premium: listing.serialPremium || null,
           market_value: marketData.value,
           market_value_source: marketData.source,
           market_value_url: marketData.sourceUrl,
           market_value_date: marketData.date,
+          market_confidence: marketData.confidence,
+          market_sources: JSON.stringify(marketData.sources),
           deal_score: dealScore,
+          score_strategy: scored.strategy,
+          score_version: scored.version,
+          trend_30d: marketData.trend?.changes[30] ?? null,
+          psa10_pop: pop?.psa10 ?? null,
+          gem_rate: pop?.gem_rate ?? null,
+          scarcity_score: pop?.scarcity_score ?? null,
+          price_stale: marketData.staleness?.stale || false,
+          stale_sources: marketData.staleness?.staleSources.map(s => s.source).join(',') || null,
+          all_in_cost: costs.allInCost,
+          net_resale_value: costs.netResaleValue,
+          net_profit: costs.netProfit,
+          roi: costs.roi,
           image_url: listing.imageUrl,
           listing_url: listing.listingUrl,
+          seller_name: listing.sellerName || null,
+          seller_rating: parseFloat(listing.sellerRating) || null,
+          seller_feedback_count: listing.sellerFeedbackCount ?? null,
+          shipping_cost: listing.shippingCost != null ? parseFloat(listing.shippingCost) : null,
+          comp_median: comps?.median ?? null,
+          comp_sample_size: comps?.sampleSize ?? null,
+          comp_sales: comps ? JSON.stringify(comps.recentSales) : null,
+          price_flag: priceFlag,
+          cert_number: cert?.certNumber || null,
+          cert_verified: cert?.verified || false,
+          cert_mismatch: cert?.mismatches.length ? cert.mismatches.join(',') : null,
           platform: platform,
           is_active: true
         });
         // Log to scan_log - saved as deal
         logScan(listing, sport, platform, 'saved', null, marketData, dealScore);
-        console.log(`  DEAL | $${listing.currentPrice} → $${marketData.value} (${dealScore}%) | ${card}`);
+        let flag = priceFlag ? ` [${priceFlag} $${comps.median}]` : '';
+        if (cert?.mismatches.length) flag += ` [cert mismatch: ${cert.mismatches.join(', ')}]`;
+        if (marketData.staleness?.stale) flag += ' [stale price]';
+        if (premium) flag += ` [serial premium: ${listing.serialPremium}]`;
+        if (pop) flag += ` [PSA 10 pop ${pop.psa10}, gem ${pop.gem_rate}%]`;
+        console.log(`  DEAL | $${listing.currentPrice} → $${marketData.value} (${dealScore}%, net $${costs.netProfit}, conf ${marketData.confidence})${flag} | ${card}`);
         saved++;
       } else {
         // Log to scan_log - already exists
@@ -268,81 +648,82 @@ async function processListings(listings, sport, platform, playerName) {
   return saved;
 }
 
-async function scanPlayer(player, sport) {
-  const queries = buildQueries(player);
+async function scanPlayer(player, sport, { playerId = null, scanRaw = false } = {}) {
+  const queries = await getPlayerQueries(player, { playerId, scanRaw });
+  const gradeFilter = { graders: settings.graders || GRADERS, minGrade: settings.minGrade ?? 9 };
   let total = 0;
 
-  // Run both queries in parallel for speed
+  // Run all queries in parallel for speed
   if (hasEbayKeys) {
-    try {
-      const allListings = await Promise.all(
-        queries.map(query => ebay.searchListings({ query, sport, limit: 20, maxPrice: settings.maxPrice }).catch(() => []))
-      );
-
-      // Combine and dedupe by itemId
-      const seen = new Set();
-      const combined = [];
-      for (const listings of allListings) {
-        for (const l of listings) {
-          if (!seen.has(l.ebayItemId)) {
-            seen.add(l.ebayItemId);
-            combined.push(l);
-          }
+    const results = await Promise.allSettled(
+      queries.map(({ query, raw }) => ebay.searchListings({ query, sport, limit: 20, maxPrice: settings.maxPrice, gradeFilter, raw }))
+    );
+
+    // Every query failed - throw so a queued job gets retried
+    const failed = results.filter(r => r.status === 'rejected');
+    if (failed.length === results.length) {
+      throw failed[0].reason;
+    }
+
+    // Combine and dedupe by itemId
+    const seen = new Set();
+    const combined = [];
+    for (const [i, result] of results.entries()) {
+      if (result.status !== 'fulfilled') continue;
+      if (queries[i].templateId) {
+        recordTemplateStats(queries[i].templateId, result.value);  // Don't await
+      }
+      for (const l of result.value) {
+        if (!seen.has(l.ebayItemId)) {
+          seen.add(l.ebayItemId);
+          combined.push(l);
         }
       }
+    }
 
-      if (combined.length > 0) {
-        total = await processListings(combined, sport, 'ebay', player);
-      }
-    } catch (e) {
-      // Silent fail
+    if (combined.length > 0) {
+      total = await processListings(combined, sport, 'ebay', player);
+    }
+  }
+
+  // COMC doesn't search well by grade, so one player search covers slabs and raw
+  if (settings.comcEnabled) {
+    const year = settings.cardYear ? settings.cardYear + ' ' : '';
+    const comcListings = await comc.searchListings({
+      query: year + player,
+      player,
+      sport,
+      gradeFilter,
+      includeRaw: settings.rawMode || scanRaw
+    });
+    if (comcListings.length > 0) {
+      total += await processListings(comcListings, sport, 'comc', player);
     }
   }
 
   return total;
 }
 
-async function runWorker() {
-  console.log('CardSnipe Worker | Source: eBay' + (hasEbayKeys ? '' : ' (no keys configured!)'));
-  console.log('SERVER_URL: ' + (process.env.SERVER_URL || 'NOT SET (using localhost:3001)'));
-
-  // Check if local pricing data is available
-  try {
-    const hasLocalData = await localPricing.hasData();
-    useLocalPricing = hasLocalData;
-    console.log('Pricing: ' + (useLocalPricing ? 'LOCAL DATABASE (fast!)' : 'SportsCardPro API (rate limited)'));
-  } catch (e) {
-    console.log('Pricing: SportsCardPro API (rate limited)');
-  }
-
+// In-process loop - used when no REDIS_URL is configured
+async function runLoop() {
   while (true) {
     try {
-      await fetchSettings();
+      await refreshState(true);
       const monitoredPlayers = await getMonitoredPlayers();
 
-      // Re-check local pricing availability each cycle
-      try {
-        useLocalPricing = await localPricing.hasData();
-      } catch (e) {}
-
       console.log('\n=== SCAN ' + new Date().toLocaleTimeString() + (useLocalPricing ? ' [LOCAL]' : ' [API]') + ' ===');
       let totalNew = 0;
 
-      if (monitoredPlayers.basketball.length > 0) {
-        console.log('Basketball:');
-        for (const player of monitoredPlayers.basketball) {
-          console.log(' ' + player + ':');
-          totalNew += await scanPlayer(player, 'basketball');
+      for (const [sport, players] of Object.entries(monitoredPlayers)) {
+        if (players.length === 0) continue;
+        console.log(sport.charAt(0).toUpperCase() + sport.slice(1) + ':');
+        for (const { id, name, scanRaw } of players) {
+          console.log(' ' + name + ':');
+          totalNew += await scanPlayer(name, sport, { playerId: id, scanRaw }).catch(() => 0);
         }
       }
 
-      if (monitoredPlayers.baseball.length > 0) {
-        console.log('Baseball:');
-        for (const player of monitoredPlayers.baseball) {
-          console.log(' ' + player + ':');
-          totalNew += await scanPlayer(player, 'baseball');
-        }
-      }
+      await refreshListings().catch(e => console.log('Refresh failed: ' + e.message));
 
       const stats = await db('listings').where('is_active', true).count('* as count').first();
       console.log('=== DONE: ' + totalNew + ' new deals | ' + stats.count + ' total ===\n');
@@ -355,4 +736,92 @@ async function runWorker() {
   }
 }
 
+// BullMQ mode - each player is its own job, shared by all worker replicas
+async function runQueue() {
+  const scanQueue = new ScanQueue();
+  let scheduledInterval = null;
+  let scheduledRefresh = null;
+
+  scanQueue.start({
+    // Fan out one job per monitored player
+    'scan-cycle': async () => {
+      await refreshState(true);
+
+      // Pick up scan interval changes from settings
+      if (settings.scanInterval && settings.scanInterval !== scheduledInterval) {
+        await scanQueue.schedule('scan-cycle', settings.scanInterval);
+        scheduledInterval = settings.scanInterval;
+      }
+      if (settings.refreshInterval && settings.refreshInterval !== scheduledRefresh) {
+        await scanQueue.schedule('refresh-listings', settings.refreshInterval);
+        scheduledRefresh = settings.refreshInterval;
+      }
+
+      const monitoredPlayers = await getMonitoredPlayers();
+      const jobs = [];
+      for (const [sport, players] of Object.entries(monitoredPlayers)) {
+        for (const { id, name, scanRaw } of players) {
+          jobs.push({ player: name, playerId: id, sport, scanRaw });
+        }
+      }
+
+      await scanQueue.enqueuePlayers(jobs);
+      const counts = await scanQueue.getCounts();
+      const stats = await db('listings').where('is_active', true).count('* as count').first();
+      console.log('\n=== SCAN CYCLE ' + new Date().toLocaleTimeString() + (useLocalPricing ? ' [LOCAL]' : ' [API]') +
+        ` === ${jobs.length} players queued | ${counts.waiting} waiting, ${counts.delayed} retrying, ${counts.deadLetter} dead | ${stats.count} total deals\n`);
+    },
+
+    'scan-player': async ({ player, playerId, sport, scanRaw }) => {
+      await refreshState();
+      console.log(' ' + player + ' (' + sport + '):');
+      const saved = await scanPlayer(player, sport, { playerId, scanRaw });
+      return { saved };
+    },
+
+    'refresh-listings': async () => {
+      await refreshState();
+      await refreshListings();
+    }
+  });
+
+  scheduledInterval = settings.scanInterval || 5;
+  scheduledRefresh = settings.refreshInterval || 10;
+  await scanQueue.schedule('scan-cycle', scheduledInterval);
+  await scanQueue.schedule('refresh-listings', scheduledRefresh);
+  await scanQueue.kickoff();
+
+  // Let in-flight jobs finish before exiting
+  const shutdown = async () => {
+    console.log('Worker shutting down...');
+    await scanQueue.close().catch(() => {});
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+  process.on('SIGINT', shutdown);
+}
+
+async function runWorker() {
+  console.log('CardSnipe Worker | Source: eBay' + (hasEbayKeys ? '' : ' (no keys configured!)'));
+  console.log('SERVER_URL: ' + (process.env.SERVER_URL || 'NOT SET (using localhost:3001)'));
+
+  // Check if local pricing data is available
+  try {
+    const hasLocalData = await localPricing.hasData();
+    useLocalPricing = hasLocalData;
+    console.log('Pricing: ' + (useLocalPricing ? 'LOCAL DATABASE (fast!)' : 'SportsCardPro API (rate limited)'));
+  } catch (e) {
+    console.log('Pricing: SportsCardPro API (rate limited)');
+  }
+
+  if (isQueueEnabled()) {
+    console.log(`Queue: BullMQ (concurrency ${queueConfig.concurrency}, ${queueConfig.attempts} attempts)`);
+    await fetchSettings();
+    await runQueue();
+  } else {
+    console.log('Queue: in-process loop (set REDIS_URL to enable BullMQ)');
+    await runLoop();
+  }
+}
+
 runWorker().catch(console.error);